@@ -0,0 +1,189 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as brAccount from '@bedrock/account';
+import * as database from '@bedrock/mongodb';
+import assert from 'assert-plus';
+import {fastHash} from './helpers.js';
+import {generateId} from 'bnid';
+import {logger} from './logger.js';
+
+const {config, util: {BedrockError}} = bedrock;
+
+// load config defaults
+import './config.js';
+
+const COLLECTION_NAME = 'authn-token-audit';
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([COLLECTION_NAME]);
+  await database.createIndexes([{
+    collection: COLLECTION_NAME,
+    fields: {id: 1},
+    options: {unique: true}
+  }, {
+    collection: COLLECTION_NAME,
+    fields: {accountId: 1, created: 1, id: 1},
+    options: {unique: false}
+  }]);
+});
+
+/**
+ * Gets audit records for an account, oldest first. Audit records are
+ * written whenever a token is set, confirmed, verified, or removed, a
+ * password is upgraded, a token client is set or removed, or a recovery email
+ * address is changed.
+ *
+ * To page through records, pass the returned `cursor` on the next call while
+ * `hasMore` is `true`. Records are ordered by `created` and then by `id`, so
+ * that records created in the same millisecond are neither skipped nor
+ * returned twice.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.accountId - The ID of the account.
+ * @param {Date} [options.since] - Only return records created after this
+ *   date.
+ * @param {string} [options.cursor] - Only return records after the last
+ *   record of a previous call, as given by its `cursor`.
+ * @param {Array<string>} [options.types] - Only return records with one of
+ *   these event types (e.g., `token.set`, `token.confirm`, `token.verify`,
+ *   `token.remove`, `token.upgrade`, `client.set`, `client.remove`, or
+ *   `recoveryEmail.change`).
+ * @param {number} [options.limit=100] - The maximum number of records to
+ *   return.
+ *
+ * @returns {Promise<object>} - Returns a Promise that resolves to
+ *   `{records, hasMore, cursor}`; `cursor` is an opaque string identifying
+ *   the last record returned, or `null` if no records were returned.
+ */
+export async function getAuditLog({
+  accountId, since, cursor, types, limit = 100
+} = {}) {
+  assert.string(accountId, 'accountId');
+  assert.optionalDate(since, 'since');
+  assert.optionalString(cursor, 'cursor');
+  assert.optionalArrayOfString(types, 'types');
+  assert.number(limit, 'limit');
+  if(!(limit > 0)) {
+    throw new TypeError('"limit" must be a positive number.');
+  }
+
+  const query = {accountId};
+  if(since) {
+    query.created = {$gt: since};
+  }
+  if(cursor !== undefined) {
+    const last = _decodeCursor({cursor});
+    query.$or = [
+      {created: {$gt: last.created}},
+      {created: last.created, id: {$gt: last.id}}
+    ];
+  }
+  if(types) {
+    query.type = {$in: types};
+  }
+  // get one more record than requested to determine if there are more
+  const records = await database.collections[COLLECTION_NAME].find(query, {
+    projection: {_id: 0}, sort: {created: 1, id: 1}, limit: limit + 1
+  }).toArray();
+  const hasMore = records.length > limit;
+  if(hasMore) {
+    records.pop();
+  }
+  const last = records.at(-1);
+  return {records, hasMore, cursor: last ? _encodeCursor(last) : null};
+}
+
+/**
+ * Appends an audit record. Failures to write a record are logged but do not
+ * cause the audited operation to fail.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.type - The event type, e.g., `token.verify`.
+ * @param {string} [options.accountId] - The ID of the account.
+ * @param {string} [options.email] - The email of the account, used to find
+ *   the account when `accountId` is not given.
+ * @param {string} [options.tokenType] - The type of token, if any.
+ * @param {string} [options.authenticationMethod] - The authentication method
+ *   of the token, if known.
+ * @param {string} [options.clientId] - An identifier for the client; only its
+ *   hash is stored.
+ * @param {string} [options.authenticationOrigin] - The origin at which the
+ *   operation took place.
+ * @param {string} options.outcome - `success` or `failure`.
+ * @param {string} [options.reason] - Why the operation took place when it was
+ *   not requested directly, e.g., `expired` or `evicted` for a token client
+ *   that was removed automatically.
+ *
+ * @returns {Promise} - Returns a Promise that resolves once the record has
+ *   been written or the attempt to write it has failed.
+ */
+export async function writeAuditRecord({
+  type, accountId, email, tokenType, authenticationMethod, clientId,
+  authenticationOrigin, outcome, reason
+} = {}) {
+  if(!config['authn-token'].audit.enabled) {
+    return;
+  }
+  try {
+    if(!accountId) {
+      try {
+        ({account: {id: accountId}} = await brAccount.get({email}));
+      } catch(e) {
+        if(e.name !== 'NotFoundError') {
+          throw e;
+        }
+        // no account to attach the record to
+        return;
+      }
+    }
+    const record = {
+      id: await generateId({fixedLength: true}),
+      type,
+      accountId,
+      tokenType: tokenType ?? null,
+      authenticationMethod: authenticationMethod ?? null,
+      clientIdHash: clientId === undefined ?
+        null : fastHash({data: clientId, encoding: 'base64'}),
+      authenticationOrigin: authenticationOrigin ?? null,
+      outcome,
+      reason: reason ?? null,
+      created: new Date()
+    };
+    await database.collections[COLLECTION_NAME].insertOne(record);
+  } catch(error) {
+    logger.error('Failed to write audit record.', {
+      account: accountId,
+      email,
+      type,
+      outcome,
+      error
+    });
+  }
+}
+
+function _encodeCursor({created, id}) {
+  return Buffer.from(JSON.stringify([created.getTime(), id]), 'utf8')
+    .toString('base64url');
+}
+
+function _decodeCursor({cursor}) {
+  try {
+    const [created, id] = JSON.parse(
+      Buffer.from(cursor, 'base64url').toString('utf8'));
+    if(Number.isSafeInteger(created) && typeof id === 'string') {
+      return {created: new Date(created), id};
+    }
+  } catch(e) {
+    // fall through to throw below
+  }
+  throw new BedrockError(
+    'Invalid audit log cursor.', {
+      name: 'DataError',
+      details: {
+        httpStatusCode: 400,
+        public: true
+      }
+    });
+}
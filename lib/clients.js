@@ -1,13 +1,14 @@
 /*!
- * Copyright (c) 2020-2022 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2020-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
 import * as brAccount from '@bedrock/account';
 import assert from 'assert-plus';
 import {fastHash} from './helpers.js';
 import {logger} from './logger.js';
+import {writeAuditRecord} from './audit.js';
 
-const {BedrockError} = bedrock.util;
+const {config, util: {BedrockError}} = bedrock;
 
 // load config defaults
 import './config.js';
@@ -51,6 +52,10 @@ import './config.js';
  * @param {boolean} [options.authenticated] - Set to `true` to indicate the
  *   client has been authenticated; this should happen through the verification
  *   of an authentication token associated with the client.
+ * @param {string} [options.name] - A display name for the client (e.g.,
+ *   "Work laptop"); if not given, any existing name is kept.
+ * @param {string} [options.userAgent] - The user agent of the client; if not
+ *   given, any existing user agent is kept.
  * @param {boolean} [options.notify=true] - Set to `true` to notify the account
  *   user, `false` not to.
  *
@@ -58,12 +63,14 @@ import './config.js';
  *   completes.
  */
 export async function set({
-  accountId, email, clientId, authenticated, notify = true
+  accountId, email, clientId, authenticated, name, userAgent, notify = true
 } = {}) {
   assert.bool(authenticated, 'authenticated');
   assert.optionalString(accountId, 'accountId');
   assert.optionalString(email, 'email');
   assert.string(clientId, 'clientId');
+  assert.optionalString(name, 'name');
+  assert.optionalString(userAgent, 'userAgent');
   if(!(accountId || email) || (accountId && email)) {
     throw new Error('Exactly one of "accountId" or "email" is required.');
   }
@@ -74,11 +81,19 @@ export async function set({
     id: key,
     authenticated
   };
+  if(name !== undefined) {
+    client.name = name;
+  }
+  if(userAgent !== undefined) {
+    client.userAgent = userAgent;
+  }
+
+  const audit = {type: 'client.set', accountId, email, clientId};
 
   let warning = false;
   if(authenticated) {
     // ensure client is not previously registered
-    const {registered} = await isRegistered({accountId, email, clientId});
+    const {registered} = await _isRegistered({accountId, email, key});
     if(registered) {
       // token was already authenticated! warn user of possible phishing scam
       warning = true;
@@ -98,21 +113,34 @@ export async function set({
           sequence: record.meta.sequence + 1
         };
         if(!meta['bedrock-authn-token']) {
-          meta['bedrock-authn-token'] = {clients: {[key]: client}};
-        } else {
-          const tokenMeta = meta['bedrock-authn-token'];
-          if(!tokenMeta.clients) {
-            tokenMeta.clients = {[key]: client};
-          } else {
-            tokenMeta.clients[key] = client;
-          }
+          meta['bedrock-authn-token'] = {};
+        }
+        const tokenMeta = meta['bedrock-authn-token'];
+        if(!tokenMeta.clients) {
+          tokenMeta.clients = {};
+        }
+        // make room for the client by dropping expired and, if needed, least
+        // recently used clients
+        const now = new Date();
+        const dropped = _pruneClients({clients: tokenMeta.clients, key, now});
+        // keep metadata from any existing client with the same key
+        tokenMeta.clients[key] = {
+          created: now, ...tokenMeta.clients[key], ...client
+        };
+        const {ttl} = config['authn-token'].clients;
+        if(ttl !== null) {
+          tokenMeta.clients[key].expires = new Date(now.getTime() + ttl);
         }
-        return await brAccount.update({id: record.account.id, meta});
+        const result = await brAccount.update({id: record.account.id, meta});
+        await writeAuditRecord({...audit, outcome: 'success'});
+        await _removeDropped({account: record.account.id, email, dropped});
+        return result;
       } catch(e) {
         if(e.name === 'InvalidStateError') {
           // loop to try again; concurrently updated
           continue;
         }
+        await writeAuditRecord({...audit, outcome: 'failure'});
         // differentiate not found error from other errors
         const notFound = e.name === 'NotFoundError';
         throw new BedrockError(
@@ -148,6 +176,7 @@ export async function set({
   }
 
   if(warning) {
+    await writeAuditRecord({...audit, outcome: 'failure'});
     throw new BedrockError(
       'Could not set account token client as authenticated; token client ' +
       'already authenticated.',
@@ -157,7 +186,8 @@ export async function set({
 
 /**
  * Returns whether or not a token client has been registered for the given
- * account or email address.
+ * account or email address. If it has, the client's `lastUsed` time is
+ * updated.
  *
  * @param {object} options - The options to use.
  * @param {string} [options.accountId] - The ID of the account.
@@ -178,11 +208,185 @@ export async function isRegistered({accountId, email, clientId} = {}) {
   // get key for client
   const key = fastHash({data: clientId, encoding: 'base64'});
 
+  const {record, registered, expired} = await _isRegistered(
+    {accountId, email, key});
+  if(registered) {
+    try {
+      // refresh client usage and expiration
+      const {ttl} = config['authn-token'].clients;
+      await _updateClients({
+        accountId: record.account.id,
+        update: clients => {
+          if(!clients[key]) {
+            // client concurrently removed
+            return false;
+          }
+          const now = new Date();
+          clients[key] = {...clients[key], lastUsed: now};
+          if(ttl !== null) {
+            clients[key].expires = new Date(now.getTime() + ttl);
+          }
+          return clients;
+        }
+      });
+    } catch(e) {
+      // failing to track usage must not prevent authentication
+      logger.error('Failed to update token client last used time.', {
+        account: record.account.id,
+        clientKey: key,
+        error: e
+      });
+    }
+  } else if(expired) {
+    // drop the expired client
+    try {
+      await removeExpired({accountId: record.account.id});
+    } catch(e) {
+      logger.error('Failed to remove expired token clients.', {
+        account: record.account.id,
+        error: e
+      });
+    }
+  }
+  return {registered};
+}
+
+/**
+ * Removes any expired token clients from an account. A `client.remove` audit
+ * record is written and a `bedrock-authn-token.client.expired` event is
+ * emitted for each removed client.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.accountId - The ID of the account.
+ *
+ * @returns {Promise<number>} - Returns a Promise that resolves to the number
+ *   of clients removed.
+ */
+export async function removeExpired({accountId} = {}) {
+  assert.string(accountId, 'accountId');
+
+  let dropped = [];
+  let email;
+  await _updateClients({
+    accountId,
+    update: (clients, record) => {
+      email = record.account.email;
+      dropped = _pruneClients({clients, now: new Date()});
+      return dropped.length > 0 ? clients : false;
+    }
+  });
+  await _removeDropped({account: accountId, email, dropped});
+  return dropped.length;
+}
+
+/**
+ * Gets all unexpired token clients registered for an account, e.g., to show a
+ * user the devices that can be used to authenticate.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} [options.accountId] - The ID of the account.
+ * @param {string} [options.email] - The email of the account.
+ *
+ * @returns {Promise<object>} - Returns a Promise that resolves to
+ *   `{clients}` where each client includes its `id`, `authenticated` status,
+ *   and any `name`, `userAgent`, `created`, `lastUsed`, and `expires`
+ *   values.
+ */
+export async function getAll({accountId, email} = {}) {
+  assert.optionalString(accountId, 'accountId');
+  assert.optionalString(email, 'email');
+  if(!(accountId || email)) {
+    throw new Error('Either "accountId" or "email" is required.');
+  }
+
+  const record = await brAccount.get({id: accountId, email});
+  const clients = record.meta?.['bedrock-authn-token']?.clients ?? {};
+  // expired clients are only removed once used or swept, so skip them here
+  const now = new Date();
+  return {
+    clients: Object.values(clients).filter(
+      client => !_isExpired({client, now}))
+  };
+}
+
+/**
+ * Removes a token client from an account, e.g., when a device is lost. The
+ * client will need to be set and authenticated again before it can be used.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.accountId - The ID of the account.
+ * @param {string} options.id - The `id` of the client as returned by
+ *   `getAll()`.
+ *
+ * @returns {Promise} - Returns a Promise that resolves once the operation
+ *   completes.
+ */
+export async function remove({accountId, id} = {}) {
+  assert.string(accountId, 'accountId');
+  assert.string(id, 'id');
+
+  const audit = {type: 'client.remove', accountId};
+  try {
+    await _updateClients({
+      accountId,
+      update: clients => {
+        if(!clients[id]) {
+          throw new BedrockError(
+            'Token client not found.', {
+              name: 'NotFoundError',
+              details: {httpStatusCode: 404, public: true}
+            });
+        }
+        delete clients[id];
+        return clients;
+      }
+    });
+  } catch(e) {
+    await writeAuditRecord({...audit, outcome: 'failure'});
+    throw e;
+  }
+  await writeAuditRecord({...audit, outcome: 'success'});
+}
+
+/**
+ * Removes all token clients from an account.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.accountId - The ID of the account.
+ *
+ * @returns {Promise<boolean>} - Returns a Promise that resolves to `true` if
+ *   any clients were removed, `false` if not.
+ */
+export async function removeAll({accountId} = {}) {
+  assert.string(accountId, 'accountId');
+
+  const audit = {type: 'client.remove', accountId};
+  let result;
+  try {
+    result = await _updateClients({
+      accountId,
+      update: clients => Object.keys(clients).length > 0 ? {} : false
+    });
+  } catch(e) {
+    await writeAuditRecord({...audit, outcome: 'failure'});
+    throw e;
+  }
+  if(result) {
+    await writeAuditRecord({...audit, outcome: 'success'});
+  }
+  return !!result;
+}
+
+async function _isRegistered({accountId, email, key}) {
   try {
     const record = await brAccount.get({id: accountId, email});
     // ensure account has authenticated client with matching `key`
     const client = record.meta?.['bedrock-authn-token']?.clients?.[key];
-    return {registered: client?.id === key && client?.authenticated};
+    if(client && _isExpired({client, now: new Date()})) {
+      return {record, registered: false, expired: true};
+    }
+    const registered = !!(client?.id === key && client?.authenticated);
+    return {record, registered};
   } catch(e) {
     // throw any error other than not found
     if(e.name !== 'NotFoundError') {
@@ -192,3 +396,98 @@ export async function isRegistered({accountId, email, clientId} = {}) {
     return {registered: false};
   }
 }
+
+async function _updateClients({accountId, update}) {
+  // ignore concurrent account updates when updating clients
+  while(true) {
+    try {
+      // get existing record meta
+      const record = await brAccount.get({id: accountId});
+      const clients = update(
+        {...record.meta?.['bedrock-authn-token']?.clients}, record);
+      if(clients === false) {
+        return false;
+      }
+
+      // update clients in meta
+      const meta = {...record.meta, sequence: record.meta.sequence + 1};
+      if(!meta['bedrock-authn-token']) {
+        meta['bedrock-authn-token'] = {clients};
+      } else {
+        meta['bedrock-authn-token'].clients = clients;
+      }
+      return await brAccount.update({id: accountId, meta});
+    } catch(e) {
+      if(e.name === 'InvalidStateError') {
+        // loop to try again; concurrently updated
+        continue;
+      }
+      // differentiate not found error from other errors
+      const notFound = e.name === 'NotFoundError';
+      throw new BedrockError(
+        'Could not update account token clients.' +
+        (notFound ? ' Account or token client not found.' : ''), {
+          name: notFound ? 'NotFoundError' : 'OperationError',
+          details: {httpStatusCode: notFound ? 404 : 500, public: true},
+          cause: e
+        });
+    }
+  }
+}
+
+function _isExpired({client, now}) {
+  // note: clients set before expiration was supported have no `expires`
+  return client.expires !== undefined && now > client.expires;
+}
+
+// removes expired clients and, if adding a client with a new `key` would
+// exceed the maximum count, the least recently used clients; returns the
+// removed clients with the reason for each removal
+function _pruneClients({clients, key, now}) {
+  const dropped = [];
+  for(const client of Object.values(clients)) {
+    if(_isExpired({client, now})) {
+      dropped.push({client, reason: 'expired'});
+      delete clients[client.id];
+    }
+  }
+  if(key === undefined || clients[key]) {
+    return dropped;
+  }
+  const {maxCount} = config['authn-token'].clients;
+  const lru = Object.values(clients).sort(
+    (a, b) => (a.lastUsed ?? a.created ?? 0) - (b.lastUsed ?? b.created ?? 0));
+  while(lru.length >= maxCount) {
+    const client = lru.shift();
+    dropped.push({client, reason: 'evicted'});
+    delete clients[client.id];
+  }
+  return dropped;
+}
+
+// audits the removal of clients dropped by `_pruneClients()` and notifies
+// the account user
+async function _removeDropped({account, email, dropped}) {
+  for(const {client, reason} of dropped) {
+    await writeAuditRecord({
+      type: 'client.remove', accountId: account, outcome: 'success', reason
+    });
+    const event = {
+      type: 'expired',
+      account,
+      email,
+      clientKey: client.id,
+      reason
+    };
+    try {
+      await bedrock.events.emit('bedrock-authn-token.client.expired', event);
+    } catch(e) {
+      logger.error('Failed to notify user of token client event.', {
+        account,
+        email,
+        type: event.type,
+        error: e
+      });
+    }
+  }
+}
@@ -1,5 +1,5 @@
 /*!
- * Copyright (c) 2018-2023 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2018-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import {config} from '@bedrock/core';
 
@@ -16,12 +16,130 @@ cfg.pbkdf2 = {
   minIterations: 100000
 };
 
+// `getHashParameters()` returns fake hash parameters for accounts (or tokens)
+// that do not exist so that it cannot be used to discover whether an email
+// address is registered; the fake salt is derived from this base64url-encoded
+// secret so that it stays the same across calls; the secret must be set to
+// the same value for every application instance: if `null`, a random secret
+// is generated on startup (and a warning is logged), so fake salts differ
+// between instances and restarts
+cfg.fakeHashParameters = {
+  secret: null,
+  // the algorithm (`pbkdf2-sha512`, `argon2id`, or `scrypt`) that clients use
+  // to hash passwords; fake password hash parameters use it along with its
+  // target costs so that they look like those of real passwords
+  passwordAlgorithm: 'pbkdf2-sha512'
+};
+
+// target and minimum costs for password hashes that use other PHC algorithms;
+// these hashes are computed by clients, never by this module; passwords that
+// are verified with costs below the target are flagged as needing a rehash
+cfg.argon2id = {
+  // memory cost in KiB
+  memory: 19456,
+  iterations: 2,
+  parallelism: 1,
+  minMemory: 19456,
+  minIterations: 2
+};
+
+cfg.scrypt = {
+  // log2 of the CPU/memory cost parameter `N`
+  logN: 17,
+  blockSize: 8,
+  parallelism: 1,
+  minLogN: 17,
+  minBlockSize: 8
+};
+
+cfg.storage = {
+  // how long, in milliseconds, expired tokens are kept before they are
+  // automatically removed from the database; a changed value is applied to
+  // the existing TTL index on startup
+  expiredTokenRetention: 24 * 60 * 60 * 1000,
+  // set to `true` to move tokens stored in account meta by previous versions
+  // to the token collection in the background on startup; tokens are always
+  // moved when an account's tokens are accessed
+  migrateOnStartup: true
+};
+
+// a background job periodically removes expired tokens, legacy bcrypt
+// nonces, expired token clients, and stale failed verification attempts; only
+// one application instance sweeps at a time
+cfg.sweeper = {
+  enabled: true,
+  // 1 hour
+  interval: 60 * 60 * 1000,
+  // number of records to process at once
+  batchSize: 100,
+  // time after which a lock held by an instance that failed to finish
+  // sweeping is released; 10 minutes
+  lockTtl: 10 * 60 * 1000
+};
+
 cfg.nonce = {
   defaults: {
     // 10 minute expiration
-    ttl: 10 * 60 * 1000
+    ttl: 10 * 60 * 1000,
+    entryStyle: 'human',
+    // characters used in a human-entry nonce, `numeric` or `alphanumeric`
+    // (uppercase letters and digits without easily confused characters)
+    format: 'numeric',
+    // number of characters in a human-entry nonce
+    length: 6,
+    // if non-zero, a human-entry nonce is displayed in groups of this many
+    // characters separated by `-` (e.g., `123-456`); separators and case are
+    // ignored when it is verified
+    groupSize: 0
   },
+  // bounds for a `ttl` passed in `typeOptions` to `set()`; 1 minute to 7 days
+  minTtl: 60 * 1000,
+  maxTtl: 7 * 24 * 60 * 60 * 1000,
+  // the maximum number of pending nonces per account for each purpose
   maxNonceCount: 5,
+  // named nonce policies that callers select via `typeOptions.profile` when
+  // calling `set()`; each may set `ttl`, `maxNonceCount`, `entryStyle`,
+  // `format`, `length`, and `groupSize`, falling back to the values above,
+  // e.g.:
+  // {
+  //   emailVerification: {
+  //     ttl: 24 * 60 * 60 * 1000, maxNonceCount: 2, entryStyle: 'machine'
+  //   },
+  //   login: {ttl: 5 * 60 * 1000, length: 8}
+  // }
+  profiles: {},
+  // stateless nonces are signed, expiring machine-entry nonces (e.g., for
+  // magic links) that are not stored in the database (unless
+  // `rateLimit.stateless` is enabled); they are issued by `set()` when
+  // `typeOptions.stateless` (or a profile's `stateless`) is `true`
+  stateless: {
+    // base64url-encoded HMAC key of at least 256 bits; stateless nonces are
+    // not supported when `null`
+    secret: null,
+    // used stateless nonces are remembered in memory until they expire so
+    // they cannot be verified again; this is per application instance and
+    // once this many unexpired nonces have been used, verifying another one
+    // fails until some expire, so keep TTLs short
+    maxUsedCacheSize: 10000
+  },
+  // a pending human-entry nonce is invalidated once this many failed
+  // verification attempts have been made against its account
+  maxFailedAttempts: 5,
+  // limits on how often nonces can be issued, applied separately to each
+  // account, email address, and client; each window allows at most `max`
+  // nonces to be issued within a sliding `duration` (in milliseconds)
+  rateLimit: {
+    enabled: true,
+    // set to `true` to also limit stateless nonces; each one issued is then
+    // recorded in the database
+    stateless: false,
+    windows: [
+      // 1 minute
+      {duration: 60 * 1000, max: 3},
+      // 1 hour
+      {duration: 60 * 60 * 1000, max: 20}
+    ]
+  },
   testerAccounts: []
 };
 
@@ -33,7 +151,116 @@ cfg.totp = {
   // default and most commonly used digits is 6
   digits: 6,
   // allow delta of +/-1 time period for code verification
-  window: 1
+  window: 1,
+  // 10 minute expiration for pending enrollments; a new secret must be
+  // confirmed with a valid code via `confirm()` before it can be used
+  enrollmentTtl: 10 * 60 * 1000,
+  // maximum number of `totp` tokens (authenticators), including any pending
+  // enrollment, per account
+  maxTokenCount: 5,
+  // QR codes of the `otpAuthUrl` returned by `set()` when requested via
+  // `typeOptions.qrCodeFormats`
+  qrCode: {
+    // one of `L`, `M`, `Q`, or `H` (7%, 15%, 25%, or 30% of the code can be
+    // restored)
+    errorCorrectionLevel: 'M',
+    // width, in pixels, including the margin
+    width: 256,
+    // margin (quiet zone) width, in modules
+    margin: 4
+  },
+  // TOTP secrets are encrypted with AES-256-GCM under the key-encryption key
+  // identified by `currentKeyId`; if `null`, secrets are not encrypted
+  encryption: {
+    currentKeyId: null,
+    // each key has an `id` and either a base64url-encoded 256-bit `secret`
+    // or a `keyFile` path to a file containing one; keys that secrets were
+    // previously encrypted under must be kept until `rewrapTotpSecrets()`
+    // has re-encrypted them under the current key
+    keys: []
+  }
+};
+
+cfg.recoveryCode = {
+  // number of one-time codes generated in each batch
+  count: 10,
+  // number of characters in each code, excluding `-` separators
+  length: 10
+};
+
+// token clients (see `clients.set()`) expire after `ttl` milliseconds without
+// being used (`null` to never expire); once `maxCount` clients are set for an
+// account, the least recently used client is dropped to make room for another
+cfg.clients = {
+  // 90 days
+  ttl: 90 * 24 * 60 * 60 * 1000,
+  maxCount: 20
+};
+
+// failed `verify()` attempts are counted per account and token type; once
+// `threshold` consecutive failures are reached, verification is locked out for
+// `baseDelay`, doubling with each further failure up to `maxDelay`
+cfg.lockout = {
+  enabled: true,
+  threshold: 5,
+  // 1 minute
+  baseDelay: 60 * 1000,
+  // 15 minutes
+  maxDelay: 15 * 60 * 1000,
+  // failed attempts are forgotten after 24 hours without another failure
+  resetAfter: 24 * 60 * 60 * 1000
+};
+
+// when enabled, `verify()` for an unknown account or an account without a
+// token of the given type does work equivalent to a failed verification and
+// resolves to `false` (instead of rejecting with a `NotFoundError`), so that
+// its result and timing do not reveal whether an account exists; failed
+// attempts for unknown accounts are locked out like those for existing
+// accounts
+cfg.enumerationProtection = {
+  enabled: false,
+  // failed verifications take at least this many milliseconds, which hides
+  // any remaining timing differences between unknown and existing accounts
+  minDuration: 250
+};
+
+// an append-only audit record is written to the database whenever a token is
+// set, confirmed, verified, or removed, a password is upgraded, a token client
+// is set, or a recovery email address is changed; see `getAuditLog()`
+cfg.audit = {
+  enabled: true
+};
+
+cfg.webauthn = {
+  // relying party ID (a domain name, e.g., `example.com`) and user-visible
+  // name; both must be set to use `webauthn` tokens
+  rpId: null,
+  rpName: null,
+  // origins (e.g., `https://example.com`) at which credentials may be used
+  origins: [],
+  // 5 minute expiration for pending registrations
+  registrationTtl: 5 * 60 * 1000,
+  // 5 minute expiration for pending authentication challenges issued by
+  // `getWebAuthnAuthenticationOptions()`
+  authenticationTtl: 5 * 60 * 1000,
+  // time, in milliseconds, the client may take to complete a ceremony
+  timeout: 60000,
+  // one of `required`, `preferred`, or `discouraged`
+  userVerification: 'preferred',
+  maxCredentialCount: 10
+};
+
+// an optional server-side pepper, kept outside of the database, that is mixed
+// (via HMAC-SHA-256) into the fast hashes stored for passwords and nonces;
+// each pepper has an `id` and a base64url-encoded `secret` of at least 256
+// bits; new hashes use the pepper identified by `currentId` and stored hashes
+// record the ID of the pepper they use, so previous peppers must be kept
+// until every hash using them has been replaced (password hashes are
+// re-peppered on successful verification); if `currentId` is `null`, no
+// pepper is applied to new hashes
+cfg.pepper = {
+  currentId: null,
+  peppers: []
 };
 
 // a hash prefix is used for tokens to ensure that the stored hashes are
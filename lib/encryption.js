@@ -0,0 +1,203 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {findTokens, migrateAllTokens, updateToken} from './tokenStorage.js';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import {promisify} from 'node:util';
+
+const {config, util: {BedrockError}} = bedrock;
+const randomBytes = promisify(crypto.randomBytes);
+
+// load config defaults
+import './config.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_SIZE = 12;
+const TAG_SIZE = 16;
+
+// key file contents by path
+const _keyFiles = new Map();
+
+/**
+ * Re-encrypts (re-wraps) every TOTP secret that is not encrypted under the
+ * current key-encryption key, `config['authn-token'].totp.encryption
+ * .currentKeyId`, including any secrets that are not encrypted at all. Old
+ * keys must remain configured until this completes so that existing secrets
+ * can be decrypted; `verify()` accepts secrets encrypted under any
+ * configured key.
+ *
+ * @param {object} options - The options to use.
+ * @param {number} [options.batchSize=100] - The number of tokens to process
+ *   at once.
+ *
+ * @returns {Promise<number>} - Returns a Promise that resolves to the number
+ *   of secrets re-encrypted.
+ */
+export async function rewrapTotpSecrets({batchSize = 100} = {}) {
+  const {currentKeyId} = config['authn-token'].totp.encryption;
+  if(currentKeyId === null) {
+    throw new BedrockError(
+      'TOTP secret encryption is not configured.', {
+        name: 'NotSupportedError',
+        details: {httpStatusCode: 500, public: true}
+      });
+  }
+
+  // include any tokens still stored in account meta
+  await migrateAllTokens({batchSize});
+
+  const type = 'totp';
+  let count = 0;
+  while(true) {
+    const tokens = await findTokens({
+      type,
+      query: {'token.encrypted.kid': {$ne: currentKeyId}},
+      limit: batchSize
+    });
+    if(tokens.length === 0) {
+      return count;
+    }
+    for(const {accountId, token: {id}} of tokens) {
+      try {
+        const updated = await updateToken({
+          accountId, type, id,
+          update: async ({token}) => {
+            if(token.encrypted?.kid === currentKeyId) {
+              // concurrently re-encrypted
+              return false;
+            }
+            const secrets = decryptTokenSecrets({accountId, token});
+            return encryptTokenSecrets({accountId, token, secrets});
+          }
+        });
+        if(updated) {
+          count++;
+        }
+      } catch(e) {
+        if(e.name !== 'NotFoundError') {
+          throw e;
+        }
+        // token concurrently removed
+      }
+    }
+  }
+}
+
+/**
+ * Encrypts the given secret values of a token under the current
+ * key-encryption key, if one is configured. The values are bound to the
+ * account and token so they cannot be copied to another token.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.accountId - The ID of the account.
+ * @param {object} options.token - The token; the secret values are removed
+ *   from it.
+ * @param {object} options.secrets - The secret values to encrypt, e.g.,
+ *   `{secret, otpAuthUrl}`.
+ *
+ * @returns {Promise<object>} - Returns a Promise that resolves to the token
+ *   with the encrypted secret values in `encrypted`, or with the plaintext
+ *   secret values if encryption is not configured.
+ */
+export async function encryptTokenSecrets({accountId, token, secrets}) {
+  token = {...token};
+  for(const key of Object.keys(secrets)) {
+    delete token[key];
+  }
+  delete token.encrypted;
+
+  const {currentKeyId} = config['authn-token'].totp.encryption;
+  if(currentKeyId === null) {
+    return {...token, ...secrets};
+  }
+
+  const key = _getKey({id: currentKeyId});
+  const iv = await randomBytes(IV_SIZE);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(_getAdditionalData({accountId, token}));
+  const ciphertext = Buffer.concat([
+    cipher.update(JSON.stringify(secrets), 'utf8'),
+    cipher.final(),
+    cipher.getAuthTag()
+  ]);
+  token.encrypted = {
+    kid: currentKeyId,
+    iv: iv.toString('base64url'),
+    ciphertext: ciphertext.toString('base64url')
+  };
+  return token;
+}
+
+/**
+ * Decrypts the secret values of a token. Tokens that were stored before
+ * encryption was configured are returned as is.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.accountId - The ID of the account.
+ * @param {object} options.token - The token.
+ *
+ * @returns {object} - The secret values, e.g., `{secret, otpAuthUrl}`.
+ */
+export function decryptTokenSecrets({accountId, token}) {
+  if(!token.encrypted) {
+    // not encrypted
+    const {secret, otpAuthUrl} = token;
+    return {secret, otpAuthUrl};
+  }
+  const {kid, iv, ciphertext} = token.encrypted;
+  const key = _getKey({id: kid});
+  const data = Buffer.from(ciphertext, 'base64url');
+  try {
+    const decipher = crypto.createDecipheriv(
+      ALGORITHM, key, Buffer.from(iv, 'base64url'));
+    decipher.setAAD(_getAdditionalData({accountId, token}));
+    decipher.setAuthTag(data.subarray(data.length - TAG_SIZE));
+    const plaintext = Buffer.concat([
+      decipher.update(data.subarray(0, data.length - TAG_SIZE)),
+      decipher.final()
+    ]);
+    return JSON.parse(plaintext.toString('utf8'));
+  } catch(e) {
+    throw new BedrockError(
+      'Could not decrypt authentication token secret.', {
+        name: 'OperationError',
+        details: {httpStatusCode: 500, public: true},
+        cause: e
+      });
+  }
+}
+
+function _getAdditionalData({accountId, token}) {
+  return Buffer.from(`${accountId}:${token.id}`, 'utf8');
+}
+
+function _getKey({id}) {
+  const {keys} = config['authn-token'].totp.encryption;
+  const keyConfig = keys.find(k => k.id === id);
+  if(!keyConfig) {
+    throw new BedrockError(
+      `Key-encryption key "${id}" not found.`, {
+        name: 'NotFoundError',
+        details: {httpStatusCode: 500, public: true}
+      });
+  }
+
+  let {secret} = keyConfig;
+  if(secret === undefined) {
+    // load key from file once
+    const {keyFile} = keyConfig;
+    secret = _keyFiles.get(keyFile);
+    if(secret === undefined) {
+      secret = fs.readFileSync(keyFile, 'utf8').trim();
+      _keyFiles.set(keyFile, secret);
+    }
+  }
+  const key = Buffer.from(secret, 'base64url');
+  if(key.length !== 32) {
+    throw new Error(
+      `Key-encryption key "${id}" must be a base64url-encoded 256-bit key.`);
+  }
+  return key;
+}
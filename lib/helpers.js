@@ -1,5 +1,5 @@
 /*!
- * Copyright (c) 2018-2022 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2018-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import assert from 'assert-plus';
 import {config} from '@bedrock/core';
@@ -12,11 +12,30 @@ const randomBytes = promisify(crypto.randomBytes);
 // load config defaults
 import './config.js';
 
-const TOKEN_TYPES = ['password', 'nonce', 'totp'];
+const TOKEN_TYPES = [
+  'password', 'nonce', 'totp', 'webauthn', 'recoveryCode'
+];
 
 // numeric-only digits for human readibility and easy mobile entry
 const NUMERIC_DIGITS = '0123456789';
 
+// uppercase letters and digits without easily confused characters
+// (`0`/`O`, `1`/`I`/`L`) for human-entry nonces
+const ALPHANUMERIC_CHARACTERS = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+
+// lowercase letters and digits without easily confused characters
+// (`0`/`o`, `1`/`i`/`l`) for human readable recovery codes
+const RECOVERY_CODE_CHARACTERS = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+const NONCE_ALPHABETS = {
+  numeric: NUMERIC_DIGITS,
+  alphanumeric: ALPHANUMERIC_CHARACTERS
+};
+
+// separators that may be used to group the characters of a human-entry nonce
+// or recovery code
+const SEPARATORS = /[\s-]/g;
+
 export function validateTokenType(type) {
   assert.string(type, 'type');
   if(!TOKEN_TYPES.includes(type)) {
@@ -24,26 +43,81 @@ export function validateTokenType(type) {
   }
 }
 
-export async function generateNonce({entryStyle = 'human'} = {}) {
+// returns `{challenge, normalized}` where `challenge` is the nonce to give to
+// the user and `normalized` is the value to hash; these only differ for
+// human-entry nonces with a `groupSize`, e.g., `123-456` and `123456`
+export async function generateNonce({
+  entryStyle = 'human', length = 6, format = 'numeric', groupSize = 0
+} = {}) {
   if(entryStyle === 'human') {
-    const bytes = await randomBytes(6);
-    const length = NUMERIC_DIGITS.length - 1;
-    return [...bytes].map(b => NUMERIC_DIGITS[Math.floor(b / 255 * length)])
-      .join('');
+    if(!(Number.isInteger(length) && length >= 6)) {
+      throw new Error('"length" must be an integer of at least 6.');
+    }
+    if(!Object.hasOwn(NONCE_ALPHABETS, format)) {
+      throw new Error(
+        `Invalid "format" "${format}"; "format" must be one of: ` +
+        Object.keys(NONCE_ALPHABETS).join(', '));
+    }
+    if(!(Number.isInteger(groupSize) && groupSize >= 0)) {
+      throw new Error('"groupSize" must be a non-negative integer.');
+    }
+    const normalized = await _generateRandomString(
+      {alphabet: NONCE_ALPHABETS[format], length});
+    const challenge = groupSize === 0 ? normalized :
+      normalized.match(new RegExp(`.{1,${groupSize}}`, 'g')).join('-');
+    return {challenge, normalized};
   }
   if(entryStyle === 'machine') {
-    return generateId({fixedLength: true});
+    const challenge = await generateId({fixedLength: true});
+    return {challenge, normalized: challenge};
   }
   throw new Error(
     `Invalid "entryStyle" "${entryStyle}"; "entryStyle" must ` +
     'be "human" or "machine".');
 }
 
+// strips any separators from and uppercases a human-entry nonce as entered
+// by a user so that it matches the value that was hashed when it was created
+export function normalizeNonce({challenge} = {}) {
+  return challenge.replace(SEPARATORS, '').toUpperCase();
+}
+
+// returns `{code, normalized}` where `code` is the recovery code to give to
+// the user and `normalized` is the value to hash
+export async function generateRecoveryCode({length = 10} = {}) {
+  const normalized = await _generateRandomString(
+    {alphabet: RECOVERY_CODE_CHARACTERS, length});
+  // group characters in fives for readability, e.g., `abcde-fghjk`
+  const code = normalized.match(/.{1,5}/g).join('-');
+  return {code, normalized};
+}
+
+/**
+ * Normalizes a recovery code as entered by a user by removing any whitespace
+ * and `-` separators and lowercasing it, e.g., `ABCDE FGHJK` becomes
+ * `abcdefghjk`. Recovery codes are slow hashed in this form, so a code must
+ * be normalized before it is slow hashed and passed to `verify()`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.code - The recovery code.
+ *
+ * @returns {string} - The normalized recovery code.
+ */
+export function normalizeRecoveryCode({code} = {}) {
+  assert.string(code, 'code');
+  return code.replace(SEPARATORS, '').toLowerCase();
+}
+
 export function fastHash({
-  clientId, slowHashOrUnguessableChallenge, data, encoding, prefix = false
+  clientId, slowHashOrUnguessableChallenge, purpose, data, encoding,
+  prefix = false, pepperId
 } = {}) {
   if(data === undefined) {
-    if(clientId) {
+    if(purpose !== undefined) {
+      // bind to purpose (and client, if any) unambiguously
+      data = JSON.stringify(
+        [slowHashOrUnguessableChallenge, clientId ?? null, purpose]);
+    } else if(clientId) {
       if(!slowHashOrUnguessableChallenge) {
         throw new TypeError(
           '"slowHashOrUnguessableChallenge" is required with "clientId".');
@@ -54,25 +128,82 @@ export function fastHash({
     }
   }
 
-  const hashFn = prefix ? _prefixedHash : _sha256;
-  let result = hashFn(data);
+  let result;
+  if(pepperId !== undefined) {
+    result = _hmacSha256({pepperId, data});
+  } else {
+    const hashFn = prefix ? _prefixedHash : _sha256;
+    result = hashFn(data);
+  }
   if(encoding) {
     result = result.toString(encoding);
   }
   return result;
 }
 
+// fast hashes a slow hash or unguessable challenge for storage using the
+// current pepper, if any; returns `{sha256, pepperId}` to store with a token
+export function pepperedHash({
+  clientId, slowHashOrUnguessableChallenge, purpose
+} = {}) {
+  const {currentId} = config['authn-token'].pepper;
+  if(currentId === null) {
+    return {
+      sha256: fastHash({clientId, slowHashOrUnguessableChallenge, purpose})
+    };
+  }
+  return {
+    sha256: fastHash({
+      clientId, slowHashOrUnguessableChallenge, purpose, pepperId: currentId
+    }),
+    pepperId: currentId
+  };
+}
+
 export function verifySlowHashOrUnguessableChallenge({
-  clientId, slowHashOrUnguessableChallenge, sha256
+  clientId, slowHashOrUnguessableChallenge, purpose, sha256, pepperId
 } = {}) {
-  // prefix fast hash if using legacy bcrypt tokens
-  const prefix = slowHashOrUnguessableChallenge.startsWith('$2b');
+  // prefix fast hash if using legacy bcrypt tokens (never peppered)
+  const prefix = pepperId === undefined &&
+    slowHashOrUnguessableChallenge.startsWith('$2b');
   if(typeof sha256 === 'string') {
     // legacy base64 string format
     sha256 = Buffer.from(sha256, 'base64');
   }
   return crypto.timingSafeEqual(
-    sha256, fastHash({clientId, slowHashOrUnguessableChallenge, prefix}));
+    sha256, fastHash({
+      clientId, slowHashOrUnguessableChallenge, purpose, prefix, pepperId
+    }));
+}
+
+async function _generateRandomString({alphabet, length}) {
+  // use rejection sampling to avoid biasing any character
+  const max = 256 - (256 % alphabet.length);
+  const chars = [];
+  while(chars.length < length) {
+    const bytes = await randomBytes(length);
+    for(const b of bytes) {
+      if(b < max && chars.length < length) {
+        chars.push(alphabet[b % alphabet.length]);
+      }
+    }
+  }
+  return chars.join('');
+}
+
+function _hmacSha256({pepperId, data}) {
+  const pepper = config['authn-token'].pepper.peppers.find(
+    p => p.id === pepperId);
+  if(!pepper) {
+    throw new Error(`Pepper "${pepperId}" not found.`);
+  }
+  const secret = Buffer.from(pepper.secret, 'base64url');
+  if(secret.length < 32) {
+    throw new Error(
+      `Pepper "${pepperId}" must be a base64url-encoded secret of at least ` +
+      '256 bits.');
+  }
+  return crypto.createHmac('sha256', secret).update(data).digest();
 }
 
 // legacy format for legacy bcrypt tokens
@@ -1,5 +1,5 @@
 /*!
- * Copyright (c) 2018-2022 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2018-2026 Digital Bazaar, Inc. All rights reserved.
  */
 // load config defaults
 import './config.js';
@@ -8,7 +8,13 @@ export * from './authenticationMethods.js';
 export * from './recovery.js';
 export * from './tokens.js';
 export * as clients from './clients.js';
+export {clearLockout} from './lockout.js';
+export {getAuditLog} from './audit.js';
+export {normalizeRecoveryCode} from './helpers.js';
+export {rewrapTotpSecrets} from './encryption.js';
 export {notify} from './notify.js';
+export {sweep} from './sweeper.js';
+export {getWebAuthnAuthenticationOptions} from './webauthn.js';
 
 // export for testing
 export * as _pbkdf2 from './pbkdf2.js';
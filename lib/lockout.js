@@ -0,0 +1,185 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import {fastHash, validateTokenType} from './helpers.js';
+import assert from 'assert-plus';
+
+const {config, util: {BedrockError}} = bedrock;
+
+// load config defaults
+import './config.js';
+
+// failed verification attempts are stored per account (or unknown account)
+// and token type outside of account records, so that counting them does not
+// conflict with other account updates
+const COLLECTION_NAME = 'authn-token-lockout';
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([COLLECTION_NAME]);
+  await database.createIndexes([{
+    collection: COLLECTION_NAME,
+    fields: {key: 1},
+    options: {unique: true}
+  }, {
+    collection: COLLECTION_NAME,
+    fields: {accountId: 1, type: 1},
+    options: {unique: false}
+  }, {
+    // failed attempts are automatically removed once they are stale
+    collection: COLLECTION_NAME,
+    fields: {expires: 1},
+    options: {unique: false, expireAfterSeconds: 0}
+  }]);
+});
+
+/**
+ * Clears any failed verification attempts and the resulting lockout for an
+ * account, e.g., after an administrator has confirmed the account holder's
+ * identity.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.accountId - The ID of the account.
+ * @param {string} [options.type] - The type of token to clear the lockout for;
+ *   if not given, lockouts for all token types are cleared.
+ *
+ * @returns {Promise<boolean>} - Returns a Promise that resolves to `true` if
+ *   any failed attempts were cleared, `false` if not.
+ */
+export async function clearLockout({accountId, type} = {}) {
+  assert.string(accountId, 'accountId');
+  const query = {accountId};
+  if(type !== undefined) {
+    validateTokenType(type);
+    query.type = type;
+  }
+  const {deletedCount} = await _getCollection().deleteMany(query);
+  return deletedCount > 0;
+}
+
+/**
+ * Reserves a verification attempt before the attempt is made: if too many
+ * failed attempts have been made, a `NotAllowedError` is thrown; otherwise the
+ * attempt is counted as failed until `resetFailedAttempts()` is called after
+ * a successful verification. The attempt is counted and compared against the
+ * lockout threshold in the same update, so that parallel attempts cannot
+ * exceed the threshold.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.accountId - The ID of the account.
+ * @param {string} options.type - The type of token being verified.
+ *
+ * @returns {Promise<boolean>} - Returns a Promise that resolves to `true` if
+ *   an attempt was reserved, `false` if lockouts are disabled.
+ */
+export async function reserveAttempt({accountId, type}) {
+  return _reserve({key: _getAccountKey({accountId, type}), accountId, type});
+}
+
+/**
+ * Reserves a verification attempt for an account that does not exist, like
+ * `reserveAttempt()` does for an existing account, so that the same number
+ * of failed attempts locks out verification whether or not the account
+ * exists. The failed attempts are stored by a hash of the given `accountId`
+ * or `email` and are never reset.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} [options.accountId] - The ID of the account.
+ * @param {string} [options.email] - The email of the account.
+ * @param {string} options.type - The type of token being verified.
+ *
+ * @returns {Promise<boolean>} - Returns a Promise that resolves to `true` if
+ *   an attempt was reserved, `false` if lockouts are disabled.
+ */
+export async function reserveUnknownAccountAttempt({accountId, email, type}) {
+  // the account ID or email is hashed before being stored
+  const key = `unknown:${type}:` +
+    fastHash({data: accountId ?? email, encoding: 'base64'});
+  return _reserve({key, accountId: null, type});
+}
+
+export async function resetFailedAttempts({accountId, type}) {
+  const {deletedCount} = await _getCollection().deleteOne(
+    {key: _getAccountKey({accountId, type})});
+  return deletedCount > 0;
+}
+
+export async function removeStaleFailedAttempts() {
+  // failed attempts that would be forgotten on the next failure and that no
+  // longer lock out verification are stale; they are also removed
+  // automatically, but only once a minute or so
+  const {deletedCount} = await _getCollection().deleteMany(
+    {expires: {$lte: new Date()}});
+  return deletedCount;
+}
+
+// counts another failed attempt for `key`; throws if too many failed attempts
+// have been made
+async function _reserve({key, accountId, type}) {
+  const {enabled, threshold, baseDelay, maxDelay, resetAfter} =
+    config['authn-token'].lockout;
+  if(!enabled) {
+    return false;
+  }
+  const collection = _getCollection();
+  // ignore concurrent updates when updating failed attempts
+  while(true) {
+    const doc = await collection.findOne({key}, {projection: {_id: 0}});
+    const now = Date.now();
+    const {count: previous = 0, lastFailure = 0, lockedUntil} = doc ?? {};
+    if(lockedUntil > now) {
+      _throwLockedOut({lockedUntil, now});
+    }
+    // forget old failed attempts
+    const count = (now - lastFailure > resetAfter ? 0 : previous) + 1;
+    const update = {count, lastFailure: now, lockedUntil: null};
+    if(count >= threshold) {
+      // lock out with a delay that doubles with each further failure; any
+      // attempt that is still in progress can only lift the lockout by
+      // succeeding
+      const delay = Math.min(baseDelay * 2 ** (count - threshold), maxDelay);
+      update.lockedUntil = now + delay;
+    }
+    update.expires = new Date(
+      Math.max(now + resetAfter, update.lockedUntil ?? 0));
+    try {
+      if(!doc) {
+        await collection.insertOne(
+          {key, accountId, type, sequence: 0, ...update});
+        return true;
+      }
+      const {matchedCount} = await collection.updateOne(
+        {key, sequence: doc.sequence},
+        {$set: {...update, sequence: doc.sequence + 1}});
+      if(matchedCount === 1) {
+        return true;
+      }
+    } catch(e) {
+      if(!database.isDuplicateError(e)) {
+        throw e;
+      }
+    }
+    // loop to try again; concurrently updated
+  }
+}
+
+function _getAccountKey({accountId, type}) {
+  return `account:${type}:${accountId}`;
+}
+
+function _getCollection() {
+  return database.collections[COLLECTION_NAME];
+}
+
+function _throwLockedOut({lockedUntil, now}) {
+  // retry after value is in seconds like the HTTP `Retry-After` header
+  const retryAfter = Math.ceil((lockedUntil - now) / 1000);
+  throw new BedrockError(
+    'Too many failed authentication attempts; try again later.',
+    'NotAllowedError', {
+      httpStatusCode: 429,
+      public: true,
+      retryAfter
+    });
+}
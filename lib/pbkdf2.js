@@ -1,5 +1,5 @@
 /*!
- * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2022-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
 import {assert} from './assert.js';
@@ -11,6 +11,16 @@ const {util: {BedrockError}} = bedrock;
 const subtle = _getCryptoSubtle();
 const getRandomValues = _getRandomValues();
 
+// supported PHC slow hash algorithms and their required parameters
+const PHC_PARAMS = new Map([
+  // iterations
+  ['pbkdf2-sha512', ['i']],
+  // memory cost (KiB), iterations (time cost), parallelism
+  ['argon2id', ['m', 't', 'p']],
+  // log2 of CPU/memory cost, block size, parallelism
+  ['scrypt', ['ln', 'r', 'p']]
+]);
+
 const ALGORITHM = {name: 'PBKDF2'};
 const EXTRACTABLE = false;
 const KEY_USAGE = ['deriveBits', 'deriveKey'];
@@ -85,16 +95,19 @@ export async function pbkdf2({
 // https://github.com/P-H-C/phc-string-format
 export function serializePhc({phc}) {
   // e.g. $pbkdf2-sha512$i=<iterations>$<base64 salt>$<base64 derivedBits>
-  const {id, params, salt, hash} = phc;
+  // or $argon2id$v=19$m=<memory>,t=<iterations>,p=<parallelism>$...
+  const {id, version, params, salt, hash} = phc;
   const paramString = Object.entries(params).map(kv => kv.join('=')).join(',');
   const b64Salt = typeof salt === 'string' ? salt : _toBase64NoPad(salt);
   const b64Hash = typeof hash === 'string' ? hash : _toBase64NoPad(hash);
-  return `$${id}$${paramString}$${b64Salt}$${b64Hash}`;
+  const versionString = version === undefined ? '' : `$v=${version}`;
+  return `$${id}${versionString}$${paramString}$${b64Salt}$${b64Hash}`;
 }
 
 export function deserializePhc({hash: serialized} = {}) {
-  const [, id, paramString, salt, hash] = serialized.split('$');
-  if(id !== 'pbkdf2-sha512') {
+  const [, id, ...parts] = serialized.split('$');
+  const requiredParams = PHC_PARAMS.get(id);
+  if(!requiredParams) {
     throw new BedrockError(
       `Unsupported hash algorithm "${id}".`, {
         name: 'SyntaxError',
@@ -105,6 +118,26 @@ export function deserializePhc({hash: serialized} = {}) {
       });
   }
 
+  // an optional version field may precede the parameters (e.g., `v=19`)
+  let version;
+  let fields = parts;
+  if(fields.length === 4 && fields[0].startsWith('v=')) {
+    version = parseInt(fields[0].slice(2), 10);
+    fields = fields.slice(1);
+  }
+  const [paramString, salt, hash] = fields;
+  if(fields.length !== 3 || Number.isNaN(version) ||
+    !(paramString && salt && hash)) {
+    throw new BedrockError(
+      'Invalid PHC string format.', {
+        name: 'SyntaxError',
+        details: {
+          httpStatusCode: 400,
+          public: true
+        }
+      });
+  }
+
   const params = Object.fromEntries(
     paramString.split(',').map(p => p.split('=')));
 
@@ -116,7 +149,8 @@ export function deserializePhc({hash: serialized} = {}) {
     }
   }
 
-  if(Object.keys(params).length !== 1 || typeof params.i !== 'number') {
+  if(Object.keys(params).length !== requiredParams.length ||
+    !requiredParams.every(key => typeof params[key] === 'number')) {
     throw new BedrockError(
       `Unsupported parameters "${paramString}".`, {
         name: 'SyntaxError',
@@ -127,7 +161,11 @@ export function deserializePhc({hash: serialized} = {}) {
       });
   }
 
-  return {id, params, salt, hash};
+  const phc = {id, params, salt, hash};
+  if(version !== undefined) {
+    phc.version = version;
+  }
+  return phc;
 }
 
 function _toBase64NoPad(x) {
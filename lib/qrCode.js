@@ -0,0 +1,45 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {config} from '@bedrock/core';
+import QRCode from 'qrcode';
+
+// load config defaults
+import './config.js';
+
+const FORMATS = ['svg', 'png'];
+
+/**
+ * Renders text (e.g., an `otpauth://` URI) as a QR code using the error
+ * correction level, width, and margin in `config['authn-token'].totp.qrCode`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.text - The text to encode.
+ * @param {Array<string>} options.formats - The formats to render: `svg` for
+ *   an SVG string and/or `png` for a PNG data URL.
+ *
+ * @returns {Promise<object>} - Returns a Promise that resolves to an object
+ *   with a property for each of the requested `formats`.
+ */
+export async function createQrCode({text, formats} = {}) {
+  validateQrCodeFormats(formats);
+  const {errorCorrectionLevel, width, margin} =
+    config['authn-token'].totp.qrCode;
+  const options = {errorCorrectionLevel, width, margin};
+  const qrCode = {};
+  if(formats.includes('svg')) {
+    qrCode.svg = await QRCode.toString(text, {...options, type: 'svg'});
+  }
+  if(formats.includes('png')) {
+    qrCode.png = await QRCode.toDataURL(text, {...options, type: 'image/png'});
+  }
+  return qrCode;
+}
+
+export function validateQrCodeFormats(formats) {
+  if(!(Array.isArray(formats) && formats.every(f => FORMATS.includes(f)))) {
+    throw new TypeError(
+      '"qrCodeFormats" must be an array containing any of: ' +
+      FORMATS.join(', '));
+  }
+}
@@ -0,0 +1,104 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import {fastHash} from './helpers.js';
+
+const {util: {BedrockError}} = bedrock;
+
+// load config defaults
+import './config.js';
+
+const COLLECTION_NAME = 'authn-token-rate-limit';
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([COLLECTION_NAME]);
+  await database.createIndexes([{
+    collection: COLLECTION_NAME,
+    fields: {key: 1, created: 1},
+    options: {unique: false}
+  }, {
+    // events are automatically removed once they fall outside every window
+    collection: COLLECTION_NAME,
+    fields: {expires: 1},
+    options: {unique: false, expireAfterSeconds: 0}
+  }]);
+});
+
+/**
+ * Records an event against each of the given subjects (e.g., an account ID
+ * and email address) and throws a `NotAllowedError` if doing so would exceed
+ * the number of events allowed for any subject within any of the given
+ * sliding `windows`. Events are stored in the database so that limits hold
+ * across multiple application instances.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.action - The action that is rate limited, e.g.,
+ *   `nonce`.
+ * @param {object} options.subjects - A map of subject type (e.g., `account`)
+ *   to subject value; subjects with an `undefined` value are skipped.
+ * @param {Array<object>} options.windows - The windows to apply, each with a
+ *   `duration` in milliseconds and a `max` number of events.
+ *
+ * @returns {Promise} - Returns a Promise that resolves once the event has
+ *   been recorded.
+ */
+export async function consume({action, subjects, windows} = {}) {
+  if(windows.length === 0) {
+    return;
+  }
+
+  // subject values (e.g., email addresses) are hashed before being stored
+  const keys = Object.entries(subjects)
+    .filter(([, value]) => value !== undefined)
+    .map(([type, value]) => `${action}:${type}:` +
+      fastHash({data: value, encoding: 'base64'}));
+  const now = Date.now();
+  const maxDuration = Math.max(...windows.map(({duration}) => duration));
+  const events = keys.map(key => ({
+    key,
+    created: new Date(now),
+    expires: new Date(now + maxDuration)
+  }));
+
+  // record events first and then count them so that concurrent requests on
+  // other instances cannot all pass the check before any of them is recorded
+  const collection = database.collections[COLLECTION_NAME];
+  const {insertedIds} = await collection.insertMany(events);
+
+  let retryAfter = 0;
+  for(const key of keys) {
+    for(const {duration, max} of windows) {
+      const since = new Date(now - duration);
+      const count = await collection.countDocuments(
+        {key, created: {$gt: since}});
+      if(count <= max) {
+        continue;
+      }
+      // the event that must fall out of the window for another to be allowed
+      const [event] = await collection.find(
+        {key, created: {$gt: since}},
+        {projection: {_id: 0, created: 1}, sort: {created: 1}})
+        .skip(count - max - 1).limit(1).toArray();
+      const wait = event.created.getTime() + duration - now;
+      retryAfter = Math.max(retryAfter, wait);
+    }
+  }
+
+  if(retryAfter === 0) {
+    return;
+  }
+
+  // rejected events do not count against the limit
+  await collection.deleteMany({_id: {$in: Object.values(insertedIds)}});
+
+  throw new BedrockError(
+    'Too many requests; try again later.',
+    'NotAllowedError', {
+      httpStatusCode: 429,
+      public: true,
+      // retry after value is in seconds like the HTTP `Retry-After` header
+      retryAfter: Math.max(Math.ceil(retryAfter / 1000), 1)
+    });
+}
@@ -5,6 +5,7 @@ import * as bedrock from '@bedrock/core';
 import * as brAccount from '@bedrock/account';
 import assert from 'assert-plus';
 import {logger} from './logger.js';
+import {writeAuditRecord} from './audit.js';
 
 /**
  * Sets a recovery email address for an account and optionally notifies the
@@ -34,7 +35,14 @@ export async function setRecoveryEmail({
 
   // apply the update
   const account = {...record.account, recoveryEmail};
-  await brAccount.update({account, sequence: record.meta.sequence});
+  const audit = {type: 'recoveryEmail.change', accountId, authenticationOrigin};
+  try {
+    await brAccount.update({account, sequence: record.meta.sequence});
+  } catch(e) {
+    await writeAuditRecord({...audit, outcome: 'failure'});
+    throw e;
+  }
+  await writeAuditRecord({...audit, outcome: 'success'});
 
   if(notify) {
     const event = {
@@ -0,0 +1,196 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import crypto from 'node:crypto';
+import {fastHash} from './helpers.js';
+
+const {config, util: {BedrockError}} = bedrock;
+
+// load config defaults
+import './config.js';
+
+// expiration dates of used stateless nonces by ID
+const _used = new Map();
+
+/**
+ * Returns whether stateless nonces are configured, i.e., whether a secret
+ * has been set in `config['authn-token'].nonce.stateless`.
+ *
+ * @returns {boolean} - `true` if stateless nonces are configured.
+ */
+export function isStatelessNonceEnabled() {
+  return config['authn-token'].nonce.stateless.secret !== null;
+}
+
+/**
+ * Returns whether a challenge has the format of a stateless nonce, i.e.,
+ * `<payload>.<signature>`; other nonces never include a `.`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.challenge - The challenge.
+ *
+ * @returns {boolean} - `true` if the challenge is a stateless nonce.
+ */
+export function isStatelessNonce({challenge}) {
+  return challenge.includes('.');
+}
+
+/**
+ * Creates a stateless nonce: a compact, signed challenge that binds the
+ * account, the token ID and authentication methods, and the optional
+ * client and purpose to an expiration date. Nothing is stored; the
+ * challenge itself is verified by `verifyStatelessNonce()`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.accountId - The ID of the account.
+ * @param {object} options.token - The token information from `_initToken()`.
+ * @param {string} [options.clientId] - An identifier for the client to bind
+ *   the nonce to; only its hash is included.
+ * @param {string} [options.purpose] - The purpose to bind the nonce to.
+ * @param {number} options.ttl - The number of milliseconds the nonce is
+ *   valid for.
+ *
+ * @returns {object} - `{challenge, expires}`.
+ */
+export function createStatelessNonce({
+  accountId, token, clientId, purpose, ttl
+}) {
+  const expires = new Date(Date.now() + ttl);
+  const payload = {
+    id: token.id,
+    account: accountId,
+    authenticationMethod: token.authenticationMethod,
+    expires: expires.getTime()
+  };
+  if(token.requiredAuthenticationMethods.length > 0) {
+    payload.requiredAuthenticationMethods = token.requiredAuthenticationMethods;
+  }
+  if(clientId !== undefined) {
+    payload.client = fastHash({data: clientId, encoding: 'base64url'});
+  }
+  if(purpose !== undefined) {
+    payload.purpose = purpose;
+  }
+  const encoded = Buffer.from(JSON.stringify(payload), 'utf8')
+    .toString('base64url');
+  const signature = _sign({data: encoded}).toString('base64url');
+  return {challenge: `${encoded}.${signature}`, expires};
+}
+
+/**
+ * Verifies a stateless nonce without any database access. The nonce must
+ * have a valid signature and must match the given account, client, and
+ * purpose. The nonce is not consumed until `markStatelessNonceUsed()` is
+ * called, so that any further checks can be made first.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.challenge - The stateless nonce.
+ * @param {string} [options.accountId] - The ID of the account the nonce must
+ *   have been issued for, if known.
+ * @param {string} [options.clientId] - The client the nonce must have been
+ *   bound to, if any.
+ * @param {string} [options.purpose] - The purpose the nonce must have been
+ *   bound to, if any.
+ *
+ * @returns {object|boolean} - The nonce payload, including the `account` ID,
+ *   if verified; `false` if not. Throws a `NotFoundError` if the nonce has
+ *   expired or has already been used.
+ */
+export function verifyStatelessNonce({
+  challenge, accountId, clientId, purpose
+}) {
+  const [encoded, signature, ...rest] = challenge.split('.');
+  if(rest.length > 0 || !encoded || !signature) {
+    return false;
+  }
+  const expected = _sign({data: encoded});
+  const actual = Buffer.from(signature, 'base64url');
+  if(actual.length !== expected.length ||
+    !crypto.timingSafeEqual(actual, expected)) {
+    return false;
+  }
+  // signature verified; the payload was created by this module
+  const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString());
+  const client = clientId === undefined ?
+    undefined : fastHash({data: clientId, encoding: 'base64url'});
+  if((accountId !== undefined && payload.account !== accountId) ||
+    payload.client !== client || payload.purpose !== purpose) {
+    return false;
+  }
+  if(Date.now() >= payload.expires) {
+    throw new BedrockError(
+      'Authentication token has expired.',
+      'NotFoundError', {
+        httpStatusCode: 404,
+        public: true
+      });
+  }
+  if(_used.has(payload.id)) {
+    _throwUsed();
+  }
+  return payload;
+}
+
+/**
+ * Marks a stateless nonce verified by `verifyStatelessNonce()` as used so
+ * that it cannot be verified again. A nonce can only be used once per
+ * application instance; see
+ * `config['authn-token'].nonce.stateless.maxUsedCacheSize`.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.payload - The payload returned by
+ *   `verifyStatelessNonce()`.
+ *
+ * @returns {undefined} - Throws a `NotFoundError` if the nonce has since been
+ *   used, and an `OperationError` if too many unexpired nonces have been used
+ *   to remember another one.
+ */
+export function markStatelessNonceUsed({payload}) {
+  const {id, expires} = payload;
+  if(_used.has(id)) {
+    _throwUsed();
+  }
+  const {maxUsedCacheSize} = config['authn-token'].nonce.stateless;
+  if(_used.size >= maxUsedCacheSize) {
+    // forget expired nonces, which can no longer be verified; nonces with
+    // different TTLs do not expire in the order they are used
+    const now = Date.now();
+    for(const [usedId, usedExpires] of _used) {
+      if(usedExpires <= now) {
+        _used.delete(usedId);
+      }
+    }
+  }
+  if(_used.size >= maxUsedCacheSize) {
+    // an unexpired nonce must never be forgotten, as it could then be reused
+    throw new BedrockError(
+      'Too many stateless nonces are in use; try again later.', {
+        name: 'OperationError',
+        details: {
+          httpStatusCode: 503,
+          public: true
+        }
+      });
+  }
+  _used.set(id, expires);
+}
+
+function _throwUsed() {
+  throw new BedrockError(
+    'Authentication token not found.', 'NotFoundError', {
+      httpStatusCode: 404,
+      public: true
+    });
+}
+
+function _sign({data}) {
+  const secret = Buffer.from(
+    config['authn-token'].nonce.stateless.secret, 'base64url');
+  if(secret.length < 32) {
+    throw new Error(
+      'Stateless nonce secret must be a base64url-encoded secret of at ' +
+      'least 256 bits.');
+  }
+  return crypto.createHmac('sha256', secret).update(data).digest();
+}
@@ -0,0 +1,156 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as brAccount from '@bedrock/account';
+import * as database from '@bedrock/mongodb';
+import {generateId} from 'bnid';
+import {logger} from './logger.js';
+import {removeAllExpiredTokens} from './tokenStorage.js';
+import {removeExpired as removeExpiredClients} from './clients.js';
+import {removeStaleFailedAttempts} from './lockout.js';
+
+const {config} = bedrock;
+
+// load config defaults
+import './config.js';
+
+const LOCK_COLLECTION_NAME = 'authn-token-lock';
+const LOCK_ID = 'sweeper';
+const META_KEY = 'bedrock-authn-token';
+
+let _timer;
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([LOCK_COLLECTION_NAME]);
+  await database.createIndexes([{
+    collection: LOCK_COLLECTION_NAME,
+    fields: {id: 1},
+    options: {unique: true}
+  }]);
+});
+
+bedrock.events.on('bedrock.ready', async () => {
+  if(config['authn-token'].sweeper.enabled) {
+    _schedule();
+  }
+});
+
+bedrock.events.on('bedrock.stop', async () => {
+  clearTimeout(_timer);
+  _timer = undefined;
+});
+
+/**
+ * Removes expired tokens, legacy bcrypt nonces, expired token clients, and
+ * stale failed verification attempts for all accounts. This is run
+ * periodically by every application instance, but only one instance at a
+ * time will sweep; see `config['authn-token'].sweeper`.
+ *
+ * @param {object} options - The options to use.
+ * @param {number} [options.batchSize] - The number of records to process at
+ *   once; defaults to `config['authn-token'].sweeper.batchSize`.
+ *
+ * @returns {Promise<object>} - Returns a Promise that resolves to the counts
+ *   of `expiredTokens`, `legacyNonces`, `expiredClients`, and
+ *   `staleFailedAttempts` that were removed.
+ */
+export async function sweep({
+  batchSize = config['authn-token'].sweeper.batchSize
+} = {}) {
+  const {expired, legacy} = await removeAllExpiredTokens({batchSize});
+  const counts = {
+    expiredTokens: expired,
+    legacyNonces: legacy,
+    expiredClients: 0,
+    staleFailedAttempts: await removeStaleFailedAttempts()
+  };
+
+  // scan accounts with clients that may be expired in batches
+  let lastId;
+  while(true) {
+    const query = {[`meta.${META_KEY}.clients`]: {$exists: true}};
+    if(lastId !== undefined) {
+      query['account.id'] = {$gt: lastId};
+    }
+    const records = await brAccount.getAll({
+      query,
+      options: {
+        projection: {'account.id': 1},
+        sort: {'account.id': 1},
+        limit: batchSize
+      }
+    });
+    if(records.length === 0) {
+      break;
+    }
+    for(const {account: {id: accountId}} of records) {
+      try {
+        counts.expiredClients += await removeExpiredClients({accountId});
+      } catch(e) {
+        if(e.name !== 'NotFoundError') {
+          throw e;
+        }
+        // account concurrently removed
+      }
+    }
+    lastId = records[records.length - 1].account.id;
+  }
+
+  return counts;
+}
+
+function _schedule() {
+  const {interval} = config['authn-token'].sweeper;
+  _timer = setTimeout(async () => {
+    try {
+      await _sweepWithLock();
+    } catch(error) {
+      logger.error('Failed to sweep expired authentication state.', {error});
+    }
+    // do not reschedule if stopped while sweeping
+    if(_timer) {
+      _schedule();
+    }
+  }, interval);
+  // do not keep the process alive just to sweep
+  _timer.unref();
+}
+
+async function _sweepWithLock() {
+  const owner = await generateId({fixedLength: true});
+  if(!await _acquireLock({owner})) {
+    // another instance is sweeping
+    return;
+  }
+  try {
+    const counts = await sweep();
+    logger.info('Swept expired authentication state.', counts);
+  } finally {
+    await _releaseLock({owner});
+  }
+}
+
+async function _acquireLock({owner}) {
+  const {lockTtl} = config['authn-token'].sweeper;
+  const now = new Date();
+  try {
+    // take the lock if it does not exist or has expired; if it is held, the
+    // upsert fails with a duplicate error
+    await database.collections[LOCK_COLLECTION_NAME].updateOne(
+      {id: LOCK_ID, expires: {$lt: now}},
+      {$set: {owner, expires: new Date(now.getTime() + lockTtl)}},
+      {upsert: true});
+    return true;
+  } catch(e) {
+    if(database.isDuplicateError(e)) {
+      return false;
+    }
+    throw e;
+  }
+}
+
+async function _releaseLock({owner}) {
+  await database.collections[LOCK_COLLECTION_NAME].updateOne(
+    {id: LOCK_ID, owner}, {$set: {expires: new Date(0)}});
+}
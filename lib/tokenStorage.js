@@ -1,30 +1,102 @@
 /*!
- * Copyright (c) 2018-2022 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2018-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
 import * as brAccount from '@bedrock/account';
+import * as database from '@bedrock/mongodb';
+import {logger} from './logger.js';
 
-const {util: {BedrockError}} = bedrock;
+const {config, util: {BedrockError}} = bedrock;
 
+// load config defaults
+import './config.js';
+
+const COLLECTION_NAME = 'authn-token-token';
+const MIGRATION_COLLECTION_NAME = 'authn-token-migration';
+// how long copied tokens are recorded; account records read before tokens
+// were removed from account meta are not expected to be used for longer
+const MIGRATION_TTL = 24 * 60 * 60 * 1000;
 const META_KEY = 'bedrock-authn-token';
 
+// token types that allow more than one token per account; every other type
+// allows a single token per account
+const MULTI_TOKEN_TYPES = new Set(['nonce', 'totp', 'webauthn']);
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  const {expiredTokenRetention} = config['authn-token'].storage;
+  const expireAfterSeconds = Math.floor(expiredTokenRetention / 1000);
+  await database.openCollections([COLLECTION_NAME, MIGRATION_COLLECTION_NAME]);
+  // apply any change to `expiredTokenRetention` to an existing TTL index
+  // so that creating the index below does not fail with conflicting options
+  await _updateExpireAfterSeconds({expireAfterSeconds});
+  await database.createIndexes([{
+    collection: COLLECTION_NAME,
+    fields: {accountId: 1, type: 1, 'token.id': 1},
+    options: {unique: true}
+  }, {
+    // at most one token per account for single token types
+    collection: COLLECTION_NAME,
+    fields: {accountId: 1, type: 1},
+    options: {
+      unique: true,
+      partialFilterExpression: {'meta.single': true}
+    }
+  }, {
+    // expired tokens are kept for a while so that they can still be reported
+    // as expired before they are automatically removed
+    collection: COLLECTION_NAME,
+    fields: {'token.expires': 1},
+    options: {unique: false, expireAfterSeconds}
+  }, {
+    collection: MIGRATION_COLLECTION_NAME,
+    fields: {accountId: 1, type: 1, id: 1},
+    options: {unique: true}
+  }, {
+    collection: MIGRATION_COLLECTION_NAME,
+    fields: {expires: 1},
+    options: {unique: false, expireAfterSeconds: 0}
+  }]);
+
+  // allow more than one token of types that previously allowed one (`totp`)
+  await _getCollection().updateMany(
+    {type: {$in: [...MULTI_TOKEN_TYPES]}, 'meta.single': true},
+    {$unset: {'meta.single': ''}});
+});
+
+bedrock.events.on('bedrock.ready', async () => {
+  // move any tokens from account meta (where they were stored by previous
+  // versions) to the token collection in the background; tokens are also
+  // moved on demand whenever an account's tokens are accessed
+  if(!config['authn-token'].storage.migrateOnStartup) {
+    return;
+  }
+  migrateAllTokens().catch(error => logger.error(
+    'Failed to migrate authentication tokens from account meta.', {error}));
+});
+
 export async function getAccountRecord({
   accountId, email, id, type, requireToken
 } = {}) {
   // get account record
-  const options = {};
-  if(accountId) {
-    options.id = accountId;
-  } else {
-    options.email = email;
+  let record = await _getAccountRecord({accountId, email});
+
+  // get tokens of `type` to apply further filtering; multi token types are
+  // returned as an array, single token types as a single token or `undefined`
+  let tokens;
+  if(type !== undefined) {
+    const docs = await _getCollection().find(
+      {accountId: record.account.id, type},
+      {projection: {_id: 0, token: 1}, sort: {'meta.created': 1, _id: 1}})
+      .toArray();
+    tokens = docs.map(({token}) => token);
+    if(!MULTI_TOKEN_TYPES.has(type)) {
+      tokens = tokens[0];
+    }
+    record = {...record, tokens};
   }
-  let record = await brAccount.get(options);
 
   // if a token is required or an `id` for the token was given, ensure the
-  // record has such a token; get tokens of `type` to apply further filtering
-  const tokens = record.meta?.[META_KEY]?.tokens?.[type];
-
-  // `tokens` may be a single token or an array of tokens
+  // record has such a token
   if(Array.isArray(tokens)) {
     if(id) {
       // specific token with `id` required, else record not found
@@ -64,76 +136,74 @@ export async function getAccountRecord({
 export async function pushToken({
   accountId, email, type, token, maxCount
 } = {}) {
-  return _addToken({accountId, email, type, token, op: 'push', maxCount});
-}
+  if(!MULTI_TOKEN_TYPES.has(type)) {
+    // should never happen unless code is called improperly with a
+    // 'push' on a single-token type
+    throw new TypeError('Token type mismatch.');
+  }
+  try {
+    ({account: {id: accountId}} = await _getAccountRecord(
+      {accountId, email}));
 
-export async function setToken({accountId, email, type, token} = {}) {
-  return _addToken({accountId, email, type, token, op: 'set'});
+    // insert the token first and then count tokens so that concurrent pushes
+    // cannot all pass the check before any of them is inserted
+    const collection = _getCollection();
+    const {insertedId} = await collection.insertOne(
+      _createTokenDocument({accountId, type, token}));
+    // nonces are counted per purpose
+    const count = await collection.countDocuments(
+      {accountId, type, 'token.purpose': token.purpose ?? null});
+    if(count > maxCount) {
+      // max token count reached
+      await collection.deleteOne({_id: insertedId});
+      return false;
+    }
+    return true;
+  } catch(e) {
+    // differentiate not found error from other errors
+    const notFound = e.name === 'NotFoundError';
+    throw new BedrockError(
+      'Could not add authentication token to account.' +
+      (notFound ? ' Account not found.' : ''), {
+        name: notFound ? 'NotFoundError' : 'OperationError',
+        details: {httpStatusCode: notFound ? 404 : 500, public: true},
+        cause: e
+      });
+  }
 }
 
-export async function removeToken({accountId, type, id} = {}) {
-  // ignore concurrent account updates when removing token(s)
+export async function setToken({accountId, email, type, token} = {}) {
+  if(MULTI_TOKEN_TYPES.has(type)) {
+    // should never happen unless code is called improperly with a
+    // 'set' on a multi-token type
+    throw new TypeError('Token type mismatch.');
+  }
+  // retry once on a duplicate error from a concurrent first `set`
+  let retry = true;
   while(true) {
     try {
-      // get existing record meta
-      const record = await brAccount.get({id: accountId});
-      // check for existing token(s)
-      const tokens = record.meta?.[META_KEY]?.tokens?.[type];
-      let hasToken = false;
-      if(tokens) {
-        if(id === undefined) {
-          // no `id` given, at least one token must exist
-          hasToken = !Array.isArray(tokens) || tokens.length > 0;
-        } else if(Array.isArray(tokens)) {
-          // one of the tokens must match the `id`
-          hasToken = tokens.some(t => t.id === id);
-        } else {
-          // the token must match the `id`
-          hasToken = tokens?.id === id;
-        }
-      }
-
-      if(!hasToken) {
-        throw new BedrockError(
-          'Token not found.', {
-            name: 'NotFoundError',
-            details: {httpStatusCode: 404, public: true}
-          });
-      }
+      ({account: {id: accountId}} = await _getAccountRecord(
+        {accountId, email}));
 
-      // prepare to update meta
-      const meta = {...record.meta, sequence: record.meta.sequence + 1};
-
-      if(id) {
-        if(Array.isArray(tokens)) {
-          // remove the token from the array
-          const filtered = tokens.filter(t => t.id !== id);
-          if(filtered.length === 0) {
-            // delete entire array
-            delete meta[META_KEY].tokens[type];
-          } else {
-            meta[META_KEY].tokens[type] = filtered;
-          }
-        } else {
-          // delete the token
-          delete meta[META_KEY].tokens[type];
-        }
-      } else {
-        // delete all tokens, no `id` specified
-        delete meta[META_KEY].tokens[type];
-      }
-
-      return await brAccount.update({id: record.account.id, meta});
+      // replace any existing token
+      const now = Date.now();
+      await _getCollection().updateOne(
+        {accountId, type, 'meta.single': true}, {
+          $set: {token, 'meta.updated': now},
+          $setOnInsert: {'meta.created': now},
+          $inc: {'meta.sequence': 1}
+        }, {upsert: true});
+      return true;
     } catch(e) {
-      if(e.name === 'InvalidStateError') {
-        // loop to try again; concurrently updated
+      if(retry && database.isDuplicateError(e)) {
+        retry = false;
         continue;
       }
       // differentiate not found error from other errors
       const notFound = e.name === 'NotFoundError';
       throw new BedrockError(
-        'Could not remove authentication token. ' +
-        notFound ? ' Account or token not found.' : '', {
+        'Could not add authentication token to account.' +
+        (notFound ? ' Account not found.' : ''), {
           name: notFound ? 'NotFoundError' : 'OperationError',
           details: {httpStatusCode: notFound ? 404 : 500, public: true},
           cause: e
@@ -142,139 +212,310 @@ export async function removeToken({accountId, type, id} = {}) {
   }
 }
 
-export async function removeExpiredTokens({accountId, email, type} = {}) {
-  // ignore concurrent account updates when removing expired tokens
+export async function updateToken({accountId, type, id, update} = {}) {
+  // note: callers get the account record (which moves any tokens out of
+  // account meta) before updating one of its tokens
+  const collection = _getCollection();
+
+  // ignore concurrent token updates when updating a token
   while(true) {
-    try {
-      // get existing record meta
-      const record = await brAccount.get({id: accountId, email});
-      // check for existing token(s)
-      const tokens = record.meta?.[META_KEY]?.tokens?.[type];
-      if(!tokens) {
-        // nothing to remove, return
-        return false;
-      }
+    // find the token to update
+    const doc = await collection.findOne({accountId, type, 'token.id': id});
+    if(!doc) {
+      throw new BedrockError(
+        'Could not update authentication token. Account or token not found.',
+        {
+          name: 'NotFoundError',
+          details: {httpStatusCode: 404, public: true}
+        });
+    }
 
-      // determine if there are any expired tokens
-      let updatedTokens;
-      const now = new Date();
-      if(!Array.isArray(tokens)) {
-        // also remove any legacy bcrypt tokens (indicated by `salt` presence)
-        // note: if `tokens.expires` does not exist, then the comparison will
-        // fail as desired
-        if(!(tokens.salt || now > tokens.expires)) {
-          // nothing to remove, return
-          return false;
-        }
-      } else {
-        // note: if `t.expires` does not exist, then the comparison will
-        // fail as desired
-        updatedTokens = tokens.filter(t => !(t.salt || now > t.expires));
-        if(updatedTokens.length === tokens.length) {
-          // nothing to remove, return
-          return false;
-        }
-        if(updatedTokens.length === 0) {
-          // no tokens remaining, clear entire array
-          updatedTokens = undefined;
-        }
-      }
+    // `update` returns the new token, `null` to remove the token, or `false`
+    // to make no change
+    const updatedToken = await update({token: structuredClone(doc.token)});
+    if(updatedToken === false) {
+      return false;
+    }
 
-      // prepare to update meta
-      const meta = {...record.meta, sequence: record.meta.sequence + 1};
-      if(updatedTokens === undefined) {
-        delete meta[META_KEY].tokens[type];
-      } else {
-        meta[META_KEY].tokens[type] = updatedTokens;
-      }
+    const query = {_id: doc._id, 'meta.sequence': doc.meta.sequence};
+    let result;
+    if(updatedToken === null) {
+      ({deletedCount: result} = await collection.deleteOne(query));
+    } else {
+      ({matchedCount: result} = await collection.updateOne(query, {
+        $set: {token: updatedToken, 'meta.updated': Date.now()},
+        $inc: {'meta.sequence': 1}
+      }));
+    }
+    if(result === 0) {
+      // loop to try again; concurrently updated
+      continue;
+    }
+    return true;
+  }
+}
 
-      return await brAccount.update({id: record.account.id, meta});
-    } catch(e) {
-      if(e.name === 'InvalidStateError') {
-        // loop to try again; concurrently updated
-        continue;
-      }
-      // no tokens to remove if account has been removed
-      if(e.name === 'NotFoundError') {
-        return false;
-      }
-      // some other error
+export async function removeToken({accountId, type, id} = {}) {
+  try {
+    await _getAccountRecord({accountId});
+    const query = {accountId, type};
+    if(id !== undefined) {
+      query['token.id'] = id;
+    }
+    // delete all tokens of `type` if no `id` specified
+    const {deletedCount} = await _getCollection().deleteMany(query);
+    if(deletedCount === 0) {
       throw new BedrockError(
-        'Could not remove expired tokens.', {
-          name: 'OperationError',
-          details: {httpStatusCode: 500, public: true},
-          cause: e
+        'Token not found.', {
+          name: 'NotFoundError',
+          details: {httpStatusCode: 404, public: true}
         });
     }
+    return true;
+  } catch(e) {
+    // differentiate not found error from other errors
+    const notFound = e.name === 'NotFoundError';
+    throw new BedrockError(
+      'Could not remove authentication token.' +
+      (notFound ? ' Account or token not found.' : ''), {
+        name: notFound ? 'NotFoundError' : 'OperationError',
+        details: {httpStatusCode: notFound ? 404 : 500, public: true},
+        cause: e
+      });
+  }
+}
+
+export async function removeExpiredTokens({accountId, email, type} = {}) {
+  try {
+    ({account: {id: accountId}} = await _getAccountRecord(
+      {accountId, email}));
+
+    // also remove any legacy bcrypt tokens (indicated by `salt` presence)
+    const {deletedCount} = await _getCollection().deleteMany({
+      accountId, type,
+      $or: [
+        {'token.salt': {$exists: true}},
+        {'token.expires': {$lt: new Date()}}
+      ]
+    });
+    return deletedCount > 0;
+  } catch(e) {
+    // no tokens to remove if account has been removed
+    if(e.name === 'NotFoundError') {
+      return false;
+    }
+    // some other error
+    throw new BedrockError(
+      'Could not remove expired tokens.', {
+        name: 'OperationError',
+        details: {httpStatusCode: 500, public: true},
+        cause: e
+      });
   }
 }
 
-async function _addToken({
-  accountId, email, type, token, op, maxCount
-}) {
-  // ignore concurrent account updates when adding a token
+/**
+ * Finds tokens of the given type for any account.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.type - The type of tokens to find.
+ * @param {object} [options.query={}] - Additional query criteria.
+ * @param {number} [options.limit] - The maximum number of tokens to find.
+ *
+ * @returns {Promise<Array>} - Returns a Promise that resolves to the found
+ *   `{accountId, token}` pairs.
+ */
+export async function findTokens({type, query = {}, limit} = {}) {
+  return _getCollection().find(
+    {...query, type},
+    {projection: {_id: 0, accountId: 1, token: 1}, limit}).toArray();
+}
+
+/**
+ * Removes expired tokens and legacy bcrypt nonces for all accounts. Expired
+ * tokens are kept until `config['authn-token'].storage.expiredTokenRetention`
+ * has passed, like they are by the TTL index, so that they can still be
+ * reported as expired.
+ *
+ * @param {object} options - The options to use.
+ * @param {number} [options.batchSize=100] - The number of tokens to remove
+ *   at once.
+ *
+ * @returns {Promise<object>} - Returns a Promise that resolves to the
+ *   number of `expired` and `legacy` tokens removed.
+ */
+export async function removeAllExpiredTokens({batchSize = 100} = {}) {
+  const collection = _getCollection();
+  const {expiredTokenRetention} = config['authn-token'].storage;
+  const queries = {
+    expired: {
+      'token.expires': {$lt: new Date(Date.now() - expiredTokenRetention)}
+    },
+    // legacy bcrypt nonces are indicated by `salt` presence
+    legacy: {type: 'nonce', 'token.salt': {$exists: true}}
+  };
+  const counts = {expired: 0, legacy: 0};
+  for(const [key, query] of Object.entries(queries)) {
+    while(true) {
+      const docs = await collection.find(
+        query, {projection: {_id: 1}, limit: batchSize}).toArray();
+      if(docs.length === 0) {
+        break;
+      }
+      const {deletedCount} = await collection.deleteMany(
+        {_id: {$in: docs.map(({_id}) => _id)}});
+      counts[key] += deletedCount;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Moves the tokens of every account that still has tokens in its account
+ * meta, as stored by previous versions, to the token collection.
+ *
+ * @param {object} options - The options to use.
+ * @param {number} [options.batchSize=100] - The number of accounts to
+ *   get at once.
+ *
+ * @returns {Promise<number>} - Returns a Promise that resolves to the
+ *   number of accounts whose tokens were moved.
+ */
+export async function migrateAllTokens({batchSize = 100} = {}) {
+  let count = 0;
+  let lastId;
   while(true) {
-    try {
-      // get existing record meta
-      const record = await brAccount.get({id: accountId, email});
-
-      // get any existing token(s)
-      const tokens = record.meta?.[META_KEY]?.tokens?.[type];
-
-      // prepare to update meta
-      const meta = {...record.meta, sequence: record.meta.sequence + 1};
-      if(op === 'push') {
-        if(tokens && !Array.isArray(tokens)) {
-          // should never happen unless code is called improperly with a
-          // 'push' `op` on a single-token type
-          throw new TypeError('Token type mismatch.');
-        }
-        if(!tokens) {
-          // first token
-          if(!meta[META_KEY]) {
-            meta[META_KEY] = {tokens: {[type]: [token]}};
-          } else if(!meta[META_KEY].tokens) {
-            meta[META_KEY].tokens = {[type]: [token]};
-          } else {
-            meta[META_KEY].tokens[type] = [token];
-          }
-        } else if(tokens.length < maxCount) {
-          // append token
-          meta[META_KEY].tokens[type] = [...tokens, token];
-        } else {
-          // max token count reached
-          return false;
-        }
-      } else {
-        // presume `op` === 'set'
-        if(tokens && Array.isArray(tokens)) {
-          // should never happen unless code is called improperly with a
-          // 'set' `op` on a multi-token type
-          throw new TypeError('Token type mismatch.');
+    const query = {[`meta.${META_KEY}.tokens`]: {$exists: true}};
+    if(lastId !== undefined) {
+      query['account.id'] = {$gt: lastId};
+    }
+    const records = await brAccount.getAll({
+      query,
+      options: {sort: {'account.id': 1}, limit: batchSize}
+    });
+    if(records.length === 0) {
+      return count;
+    }
+    for(const record of records) {
+      try {
+        await _migrateTokens({record});
+        count++;
+      } catch(e) {
+        if(e.name !== 'NotFoundError') {
+          throw e;
         }
-        if(!meta[META_KEY]) {
-          meta[META_KEY] = {tokens: {[type]: token}};
-        } else if(!meta[META_KEY].tokens) {
-          meta[META_KEY].tokens = {[type]: token};
-        } else {
-          meta[META_KEY].tokens[type] = token;
+        // account concurrently removed
+      }
+    }
+    lastId = records[records.length - 1].account.id;
+  }
+}
+
+async function _getAccountRecord({accountId, email}) {
+  const options = {};
+  if(accountId) {
+    options.id = accountId;
+  } else {
+    options.email = email;
+  }
+  const record = await brAccount.get(options);
+  return _migrateTokens({record});
+}
+
+// moves any tokens in account meta to the token collection, returning the
+// updated account record
+async function _migrateTokens({record}) {
+  // ignore concurrent account updates when removing tokens from meta
+  while(true) {
+    const tokensByType = record.meta?.[META_KEY]?.tokens;
+    if(!tokensByType) {
+      return record;
+    }
+
+    // copy tokens before removing them from account meta so that they are
+    // never missing; copying again is harmless
+    const accountId = record.account.id;
+    const now = new Date();
+    for(const [type, tokens] of Object.entries(tokensByType)) {
+      for(const token of [tokens].flat()) {
+        // expired tokens can no longer be used
+        if(!(token.expires && token.expires < now)) {
+          await _copyToken({accountId, type, token});
         }
       }
-      return await brAccount.update({id: record.account.id, meta});
+    }
+
+    // remove tokens from account meta
+    const meta = {...record.meta, sequence: record.meta.sequence + 1};
+    meta[META_KEY] = {...meta[META_KEY]};
+    delete meta[META_KEY].tokens;
+    try {
+      await brAccount.update({id: accountId, meta});
+      return {...record, meta};
     } catch(e) {
-      if(e.name === 'InvalidStateError') {
-        // loop to try again; concurrently updated
-        continue;
+      if(e.name !== 'InvalidStateError') {
+        throw e;
       }
-      // differentiate not found error from other errors
-      const notFound = e.name === 'NotFoundError';
-      throw new BedrockError(
-        'Could not add authentication token to account.' +
-        notFound ? ' Account not found.' : '', {
-          name: notFound ? 'NotFoundError' : 'OperationError',
-          details: {httpStatusCode: notFound ? 404 : 500, public: true},
-          cause: e
-        });
+      // loop to try again; concurrently updated
+      record = await brAccount.get({id: accountId});
+    }
+  }
+}
+
+// copies a token from account meta to the token collection unless it has
+// already been copied; copied tokens are recorded so that a stale account
+// record cannot copy a token again after it has been consumed or removed
+async function _copyToken({accountId, type, token}) {
+  const migrated = {accountId, type, id: token.id ?? null};
+  const migrations = database.collections[MIGRATION_COLLECTION_NAME];
+  if(await migrations.findOne(migrated, {projection: {_id: 1}})) {
+    return;
+  }
+  // single tokens that have since been replaced in the token collection are
+  // skipped as duplicates
+  await _insertUnlessDuplicate({
+    collection: _getCollection(),
+    doc: _createTokenDocument({accountId, type, token})
+  });
+  await _insertUnlessDuplicate({
+    collection: migrations,
+    doc: {...migrated, expires: new Date(Date.now() + MIGRATION_TTL)}
+  });
+}
+
+async function _insertUnlessDuplicate({collection, doc}) {
+  try {
+    await collection.insertOne(doc);
+  } catch(e) {
+    if(!database.isDuplicateError(e)) {
+      throw e;
     }
   }
 }
+
+function _createTokenDocument({accountId, type, token}) {
+  const now = Date.now();
+  const meta = {created: now, updated: now, sequence: 0};
+  if(!MULTI_TOKEN_TYPES.has(type)) {
+    meta.single = true;
+  }
+  return {accountId, type, token, meta};
+}
+
+async function _updateExpireAfterSeconds({expireAfterSeconds}) {
+  try {
+    await database.db.command({
+      collMod: COLLECTION_NAME,
+      index: {keyPattern: {'token.expires': 1}, expireAfterSeconds}
+    });
+  } catch(e) {
+    // index not created yet
+    if(e.codeName !== 'IndexNotFound') {
+      throw e;
+    }
+  }
+}
+
+function _getCollection() {
+  return database.collections[COLLECTION_NAME];
+}
@@ -2,25 +2,60 @@
  * Copyright (c) 2018-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
+import * as brAccount from '@bedrock/account';
 import * as totp from '@digitalbazaar/totp';
+import {
+  consumeAuthenticationChallenge, createRegistrationOptions, verifyAssertion,
+  verifyRegistration
+} from './webauthn.js';
+import {createQrCode, validateQrCodeFormats} from './qrCode.js';
+import {
+  createStatelessNonce, isStatelessNonce, isStatelessNonceEnabled,
+  markStatelessNonceUsed, verifyStatelessNonce
+} from './statelessNonce.js';
+import {decryptTokenSecrets, encryptTokenSecrets} from './encryption.js';
 import {deserializePhc, pbkdf2} from './pbkdf2.js';
 import {
   fastHash,
   generateNonce,
+  generateRecoveryCode,
+  normalizeNonce,
+  pepperedHash,
   validateTokenType,
   verifySlowHashOrUnguessableChallenge
 } from './helpers.js';
 import {
-  getAccountRecord, pushToken, removeExpiredTokens, removeToken, setToken
+  getAccountRecord, pushToken, removeExpiredTokens, removeToken, setToken,
+  updateToken
 } from './tokenStorage.js';
+import {
+  reserveAttempt, reserveUnknownAccountAttempt, resetFailedAttempts
+} from './lockout.js';
 import {notify as _notify} from './notify.js';
 import assert from 'assert-plus';
 import {checkAuthenticationRequirements} from './authenticationMethods.js';
+import {consume} from './rateLimit.js';
+import crypto from 'node:crypto';
 import {generateId} from 'bnid';
 import {logger} from './logger.js';
+import {writeAuditRecord} from './audit.js';
 
 const {config, util: {BedrockError}} = bedrock;
 const TESTER_CHALLENGE_TOKEN = '000000';
+const DUMMY_SHA256 = Buffer.alloc(32);
+
+// used when `config['authn-token'].fakeHashParameters.secret` is not set
+let _randomFakeHashParametersSecret;
+
+bedrock.events.on('bedrock.ready', () => {
+  if(config['authn-token'].fakeHashParameters.secret === null) {
+    logger.warning(
+      'No fake hash parameters secret is configured; fake hash parameters ' +
+      'will differ between application instances and restarts, which ' +
+      'reveals which email addresses are not registered. Set ' +
+      '"config[\'authn-token\'].fakeHashParameters.secret".');
+  }
+});
 
 /**
  * Sets a token for an account.
@@ -31,7 +66,7 @@ const TESTER_CHALLENGE_TOKEN = '000000';
  * @param {string} [options.email] - The email of the account to set a token
  *   for.
  * @param {string} options.type - The type of token to set (`password`,
- *   `nonce`, or `totp`).
+ *   `nonce`, `totp`, `webauthn`, or `recoveryCode`).
  * @param {string} [options.clientId] - An identifier for the client to bind a
  *   token to, if supported by the token type.
  * @param {string} [options.authenticationOrigin] - An origin at which this
@@ -39,9 +74,20 @@ const TESTER_CHALLENGE_TOKEN = '000000';
  *  @param {string} [options.serviceId] - An identifier to associate with the
  *   token. For TOTP tokens, `serviceId` is encoded in the `otpAuthUrl` value
  *   returned by this API.
+ * @param {string} [options.name] - A name for a `totp` token that identifies
+ *   the authenticator that uses it (e.g., `Phone`), returned by `verify()`
+ *   when a code generated by that authenticator is verified.
+ * @param {string} [options.purpose] - A purpose to bind a `nonce` token to
+ *   (e.g., `emailVerification`); the nonce will only verify when the same
+ *   purpose is passed to `verify()` and `maxNonceCount` is applied to the
+ *   nonces for each purpose separately.
  * @param {string} [options.hash] - The slow-hashed value to use when setting
  *   a password token type; it must be in PHC (password hash competition)
- *   string format.
+ *   string format using `pbkdf2-sha512`, `argon2id`, or `scrypt`.
+ * @param {object} [options.credential] - The registration response (JSON
+ *   encoded `PublicKeyCredential`) from the client when completing the
+ *   registration of a `webauthn` token; if not given, registration options,
+ *   including a challenge for the client to sign, are returned instead.
  * @param {string} [options.authenticationMethod=type] - An optional,
  *   application specific authentication method identifier to assign to this
  *   token, useful for multifactor flows to create dependencies on different
@@ -54,48 +100,84 @@ const TESTER_CHALLENGE_TOKEN = '000000';
  * @param {string} [options.typeOptions={entryStyle: 'human'}] - Setting
  *   entryStyle to `human` will generate low count character numeric-only nonce
  *   and setting it to `machine` will generate a large, random, unguessable
- *   base58-encoded nonce.
+ *   base58-encoded nonce. For human-entry `nonce` tokens, `format` sets the
+ *   characters used (`numeric` digits or `alphanumeric` uppercase letters and
+ *   digits without easily confused characters), `length` sets the number of
+ *   characters, and `groupSize` splits the characters into groups of that
+ *   size separated by `-` for display (e.g., `123-456`). For `nonce` tokens,
+ *   `ttl` sets how long the nonce is valid (in milliseconds, within
+ *   `config['authn-token'].nonce.minTtl` and `maxTtl`), `stateless` set to
+ *   `true` issues a signed, expiring machine-entry nonce that is not stored
+ *   (see `config['authn-token'].nonce.stateless`), and `profile` selects a
+ *   named policy from `config['authn-token'].nonce.profiles` whose options
+ *   apply unless given directly. For `recoveryCode` tokens, setting
+ *   `regenerate` to `true` replaces any existing batch of codes, invalidating
+ *   the old codes.
+ *   For `totp` tokens, setting `qrCodeFormats` to an array containing `svg`
+ *   and/or `png` also returns the `otpAuthUrl` rendered as a QR code in
+ *   `qrCode.svg` (an SVG string) and/or `qrCode.png` (a PNG data URL).
  *
  * @returns {Promise<object>} - Returns a Promise that resolves once the
  *   operation completes with token details depending on the type.
  */
 export async function set({
-  accountId, email, type, clientId, authenticationOrigin, serviceId,
-  hash, authenticationMethod = type, requiredAuthenticationMethods = [],
-  notify = true, typeOptions = {entryStyle: 'human'}
+  accountId, email, type, clientId, authenticationOrigin, serviceId, name,
+  purpose, hash, credential, authenticationMethod = type,
+  requiredAuthenticationMethods = [], notify = true,
+  typeOptions = {entryStyle: 'human'}
 } = {}) {
   assert.optionalString(accountId, 'accountId');
   assert.optionalString(email, 'email');
   assert.optionalString(clientId, 'clientId');
   assert.optionalString(authenticationOrigin, 'authenticationOrigin');
   assert.optionalString(serviceId, 'serviceId');
+  assert.optionalString(name, 'name');
+  assert.optionalString(purpose, 'purpose');
+  assert.optionalObject(credential, 'credential');
   if(!(accountId || email) || (accountId && email)) {
     throw new Error('Exactly one of "accountId" or "email" is required.');
   }
   validateTokenType(type);
+  if(purpose !== undefined && type !== 'nonce') {
+    throw new Error('"purpose" is only supported for "nonce" tokens.');
+  }
 
   // `accountId` must be set for types other than `nonce`
   if(type !== 'nonce') {
     assert.string(accountId, 'accountId');
   }
 
-  const result = await _createToken({
-    accountId, email, type,
-    authenticationMethod, requiredAuthenticationMethods,
-    hash, clientId, serviceId, typeOptions
-  });
+  let result;
+  const audit = {
+    type: 'token.set', accountId, email, tokenType: type,
+    authenticationMethod, clientId, authenticationOrigin
+  };
+  try {
+    result = await _createToken({
+      accountId, email, type,
+      authenticationMethod, requiredAuthenticationMethods,
+      hash, credential, clientId, serviceId, name, purpose, typeOptions
+    });
+  } catch(e) {
+    await writeAuditRecord({...audit, outcome: 'failure'});
+    throw e;
+  }
+  await writeAuditRecord({...audit, outcome: 'success'});
 
-  if(notify) {
+  // do not notify until a pending `webauthn` registration is completed or a
+  // pending `totp` enrollment is confirmed
+  if(notify && !(result.registrationOptions || result.pending)) {
     try {
       await _notify({
         accountId, email, authenticationMethod, authenticationOrigin,
-        // only include `id`, `type`, and `challenge` information;
+        // only include `id`, `type`, `challenge`, and `purpose` information;
         // Note: `id` may be used in conjunction with `account`
         // or `email` in a deep link for authentication
         token: {
           id: result.id,
           type: result.type,
-          challenge: result.challenge
+          challenge: result.challenge,
+          ...(purpose === undefined ? {} : {purpose})
         },
         notification: {type: 'create'}
       });
@@ -119,7 +201,7 @@ export async function set({
  * @param {string} [options.accountId] - The ID of the account.
  * @param {string} [options.email] - The email of the account.
  * @param {string} options.type - The type of token to get (`password`,
- *   `nonce`, or `totp`).
+ *   `nonce`, `totp`, `webauthn`, or `recoveryCode`).
  * @param {string} [options.id] - The id of the token to get.
  * @param {boolean} [options.filterExpiredTokens] - Set to `true` to drop
  *   expired token and to `false` to get token even if it is expired.
@@ -138,12 +220,12 @@ export async function get({
   }
   validateTokenType(type);
 
-  // get token(s) from account meta; will throw if no token found
+  // get token(s) from storage; will throw if no token found
   const record = await getAccountRecord({
     accountId, email, id, type, requireToken: true
   });
 
-  const result = record.meta['bedrock-authn-token'].tokens[type];
+  const result = record.tokens;
 
   let token;
   if(Array.isArray(result)) {
@@ -170,13 +252,17 @@ export async function get({
 
   // add default `hashParameters` as needed (legacy bcrypt tokens have `salt`
   // property)
-  if(type !== 'totp' && token.salt) {
+  if(_isHashedType(type) && token.salt) {
     token = {
       ...token,
       hashParameters: {id: 'bcrypt', salt: token.salt, params: {r: 10}}
     };
   }
 
+  if(type === 'totp') {
+    token = _decryptTotpToken({accountId: record.account.id, token});
+  }
+
   return token;
 }
 
@@ -187,7 +273,7 @@ export async function get({
  * @param {string} [options.accountId] - The ID of the account.
  * @param {string} [options.email] - The email of the account.
  * @param {string} options.type - The type of tokens to get (`password`,
- *   `nonce`, or `totp`).
+ *   `nonce`, `totp`, `webauthn`, or `recoveryCode`).
  *
  * @returns {Promise<Array>} - Return a Promise that resolves to tokens.
  */
@@ -199,22 +285,25 @@ export async function getAll({accountId, email, type} = {}) {
   }
   validateTokenType(type);
 
-  // get tokens from account meta
+  // get tokens from storage
   const record = await getAccountRecord({
     accountId, email, type, requireToken: false
   });
 
   // check if any of the keys are undefined or null
-  const result = record.meta?.['bedrock-authn-token']?.tokens?.[type] ?? [];
+  const result = record.tokens ?? [];
   const allTokens = (Array.isArray(result) ? result : [result]).map(token => {
     // add default `hashParameters` as needed (legacy bcrypt tokens have `salt`
     // property)
-    if(type !== 'totp' && !token.hashParameters) {
+    if(_isHashedType(type) && !token.hashParameters) {
       token = {
         ...token,
         hashParameters: {id: 'bcrypt', salt: token.salt, params: {r: 10}}
       };
     }
+    if(type === 'totp') {
+      token = _decryptTotpToken({accountId: record.account.id, token});
+    }
     return token;
   });
 
@@ -240,6 +329,59 @@ export async function getAll({accountId, email, type} = {}) {
   return {allTokens, tokens, expiredTokens};
 }
 
+/**
+ * Gets the hash parameters (algorithm `id`, `params`, and `salt`) that a
+ * client must use to compute the slow hash of a password, human-entry style
+ * nonce, or recovery code before calling `verify()`. If the account or token
+ * does not exist, deterministic fake parameters are returned instead, so
+ * that this function cannot be used to discover whether an email address is
+ * registered.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.email - The email of the account.
+ * @param {string} options.type - The type of token (`password`, `nonce`, or
+ *   `recoveryCode`).
+ *
+ * @returns {Promise<object>} - Returns a Promise that resolves to
+ *   `{id, params, salt}`.
+ */
+export async function getHashParameters({email, type} = {}) {
+  assert.string(email, 'email');
+  validateTokenType(type);
+  if(!_isHashedType(type)) {
+    throw new Error(`Token type "${type}" does not use hash parameters.`);
+  }
+
+  let tokens;
+  try {
+    const record = await getAccountRecord({
+      email, type, requireToken: false
+    });
+    tokens = record.tokens ?? [];
+  } catch(e) {
+    if(e.name !== 'NotFoundError') {
+      throw e;
+    }
+    tokens = [];
+  }
+
+  // use the newest unexpired token that has hash parameters
+  const now = new Date();
+  tokens = (Array.isArray(tokens) ? tokens : [tokens]).filter(
+    token => (token.hashParameters || token.salt) &&
+      !(token.expires && token.expires < now));
+  const token = tokens[tokens.length - 1];
+  if(!token) {
+    return _getFakeHashParameters({email, type});
+  }
+  if(!token.hashParameters) {
+    // legacy bcrypt token
+    return {id: 'bcrypt', params: {r: 10}, salt: token.salt};
+  }
+  const {id, params, salt} = token.hashParameters;
+  return {id, params, salt};
+}
+
 /**
  * Removes a token from an account.
  *
@@ -247,17 +389,33 @@ export async function getAll({accountId, email, type} = {}) {
  * @param {string} options.accountId - The ID of the account to remove a token
  *   from.
  * @param {string} options.type - The type of token to remove (`password`,
- *   `nonce`, or `totp`).
+ *   `nonce`, `totp`, `webauthn`, or `recoveryCode`).
  * @param {string} [options.id] - The id of the token to be removed.
+ * @param {string} [options.authenticationOrigin] - The origin at which the
+ *   removal was requested, recorded in the audit log.
  *
  * @returns {Promise} - Returns a Promise that resolves once the operation
  *   completes.
  */
-export async function remove({accountId, type, id} = {}) {
+export async function remove({
+  accountId, type, id, authenticationOrigin
+} = {}) {
   assert.string(accountId, 'accountId');
   assert.optionalString(id, 'id');
+  assert.optionalString(authenticationOrigin, 'authenticationOrigin');
   validateTokenType(type);
-  return removeToken({accountId, type, id});
+  const audit = {
+    type: 'token.remove', accountId, tokenType: type, authenticationOrigin
+  };
+  let result;
+  try {
+    result = await removeToken({accountId, type, id});
+  } catch(e) {
+    await writeAuditRecord({...audit, outcome: 'failure'});
+    throw e;
+  }
+  await writeAuditRecord({...audit, outcome: 'success'});
+  return result;
 }
 
 /**
@@ -271,43 +429,87 @@ export async function remove({accountId, type, id} = {}) {
  * @param {string} [options.email] - The email of the account to verify a token
  *   for.
  * @param {string} options.type - The type of token to verify (`password`,
- *   `nonce`, `totp`).
+ *   `nonce`, `totp`, `webauthn`, or `recoveryCode`).
+ * @param {string} [options.id] - The ID of a `nonce` token, as returned by
+ *   `set()` (e.g., for use in a deep link); only that nonce is checked and a
+ *   failed attempt counts only against it. If the nonce has already been
+ *   used, invalidated, or has expired, the Promise rejects with a
+ *   `NotFoundError`.
  * @param {string} [options.hash] - The slow hash (e.g., pbkdf2 or bcrypt) for
- *   or a password / human-entry style nonce; `bcrypt` is deprecated.
+ *   or a password / human-entry style nonce / recovery code; `bcrypt` is
+ *   deprecated. A human-entry nonce must be hashed without separators and
+ *   in uppercase; a recovery code must be hashed as normalized by
+ *   `normalizeRecoveryCode()`.
  * @param {string} [options.challenge] - The token challenge value for token
  *   types (e.g., `totp` or `nonce` with machine-entry style nonce) that do not
- *   hash token challenges.
+ *   hash token challenges; for `webauthn` tokens, the server-issued challenge
+ *   from `getWebAuthnAuthenticationOptions()`, which must not have expired
+ *   and can only be used once. A human-entry nonce may also
+ *   be given as entered by the user; separators are stripped and case is
+ *   folded before it is slow hashed and compared. A stateless nonce is
+ *   verified without reading any tokens from storage; if it is verified for
+ *   an `accountId`, the account is not read either and `email` is `null` in
+ *   the result.
+ * @param {object} [options.credential] - The authentication response (JSON
+ *   encoded `PublicKeyCredential`) from the client for a `webauthn` token.
+ * @param {string} [options.purpose] - The purpose a `nonce` token must have
+ *   been bound to by `set()`; nonces bound to other purposes (or to no
+ *   purpose) will not verify.
  * @param {Array} [options.authenticatedMethods=[]] - A list of identifiers for
  *   other methods methods that have already been authenticated (useful for
  *   multifactor verification where one method depends on other methods to
  *   first be used).
+ * @param {string} [options.authenticationOrigin] - The origin at which the
+ *   token is being verified, recorded in the audit log.
  *
  * @returns {Promise<object>} - Returns a Promise that resolves to an object
  *   containing the account ID, the account `email`, and token information if
- *   verified; `false` if not.
+ *   verified; `false` if not. For `recoveryCode` tokens, the token information
+ *   includes the number of codes `remaining`. Failed attempts are counted per
+ *   account and token type; once too many have been made, the Promise rejects
+ *   with a `NotAllowedError` that includes `retryAfter` (in seconds) until
+ *   the lockout expires. If the account or token does not exist, the Promise
+ *   rejects with a `NotFoundError`, unless
+ *   `config['authn-token'].enumerationProtection` is enabled, in which case
+ *   it resolves to `false`.
  */
 export async function verify({
-  accountId, email, type, hash, challenge, clientId, authenticatedMethods = []
+  accountId, email, type, id, hash, challenge, credential, clientId, purpose,
+  authenticatedMethods = [], authenticationOrigin
 } = {}) {
   assert.optionalString(accountId, 'account');
+  assert.optionalString(id, 'id');
   assert.optionalString(clientId, 'clientId');
+  assert.optionalString(purpose, 'purpose');
   assert.optionalString(email, 'email');
   assert.optionalArrayOfString(authenticatedMethods, 'authenticatedMethods');
+  assert.optionalString(authenticationOrigin, 'authenticationOrigin');
   if(!(accountId || email)) {
     throw new Error('Either "accountId" or "email" is required.');
   }
   validateTokenType(type);
   assert.optionalString(hash, 'hash');
   assert.optionalString(challenge, 'challenge');
+  assert.optionalObject(credential, 'credential');
+  if(purpose !== undefined && type !== 'nonce') {
+    throw new Error('"purpose" is only supported for "nonce" tokens.');
+  }
+  if(id !== undefined && type !== 'nonce') {
+    throw new Error('"id" is only supported for "nonce" tokens.');
+  }
 
   if(!(hash || challenge) || (hash && challenge)) {
     throw new Error('Exactly one of "hash" or "challenge" is required.');
   }
 
-  if(type === 'totp' && hash) {
-    // totp token values MUST NOT be hashed
+  if(type === 'webauthn') {
+    assert.object(credential, 'credential');
+  }
+
+  if(type === 'recoveryCode' && challenge) {
+    // recovery codes MUST be slow hashed by the client
     throw new BedrockError(
-      'Authentication token challenge must not be hashed.', {
+      'Authentication token challenge must be hashed.', {
         name: 'DataError',
         details: {
           httpStatusCode: 400,
@@ -316,91 +518,180 @@ export async function verify({
       });
   }
 
-  const slowHashOrUnguessableChallenge = hash ?? challenge;
+  if((type === 'totp' || type === 'webauthn') && hash) {
+    // totp token values and webauthn challenges MUST NOT be hashed
+    throw new BedrockError(
+      'Authentication token challenge must not be hashed.', {
+        name: 'DataError',
+        details: {
+          httpStatusCode: 400,
+          public: true
+        }
+      });
+  }
 
-  // get token from account meta
-  const record = await getAccountRecord({
-    accountId, email, type, requireToken: true
+  const audit = {
+    type: 'token.verify', accountId, email, tokenType: type, clientId,
+    authenticationOrigin
+  };
+  const start = Date.now();
+  let result;
+  try {
+    result = await _verify({
+      accountId, email, type, id, hash, challenge, credential, clientId,
+      purpose, authenticatedMethods
+    });
+  } catch(e) {
+    await writeAuditRecord({...audit, outcome: 'failure'});
+    await _padFailure({start});
+    throw e;
+  }
+  if(!result) {
+    await writeAuditRecord({...audit, outcome: 'failure'});
+    await _padFailure({start});
+    return false;
+  }
+  await writeAuditRecord({
+    ...audit,
+    accountId: result.id,
+    authenticationMethod: result.token.authenticationMethod,
+    outcome: 'success'
   });
+  return result;
+}
 
-  let token;
-  if(type === 'nonce') {
-    token = _getMatchingNonce(
-      {record, clientId, slowHashOrUnguessableChallenge});
-    if(!token) {
-      // no matching nonce token, return early
-      return false;
-    }
-  } else {
-    token = record.meta['bedrock-authn-token'].tokens[type];
+/**
+ * Upgrades the hash for a password token, e.g., after `verify()` has flagged
+ * it with `needsRehash`. The swap only happens if `currentHash` still matches
+ * the stored password, making it safe to call concurrently with other
+ * password changes.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} [options.accountId] - The ID of the account.
+ * @param {string} [options.email] - The email of the account.
+ * @param {string} options.currentHash - The slow hash of the password using
+ *   the currently stored hash parameters, as was given to `verify()`.
+ * @param {string} options.hash - The new slow hash of the same password in
+ *   PHC string format; its hash parameters must meet the current policy.
+ * @param {string} [options.authenticationOrigin] - The origin at which the
+ *   password is being upgraded, recorded in the audit log.
+ *
+ * @returns {Promise} - Returns a Promise that resolves once the operation
+ *   completes. A `currentHash` that does not match counts as a failed
+ *   verification attempt, like it does for `verify()`.
+ */
+export async function upgradePassword({
+  accountId, email, currentHash, hash, authenticationOrigin
+} = {}) {
+  assert.optionalString(accountId, 'accountId');
+  assert.optionalString(email, 'email');
+  assert.string(currentHash, 'currentHash');
+  assert.string(hash, 'hash');
+  assert.optionalString(authenticationOrigin, 'authenticationOrigin');
+  if(!(accountId || email) || (accountId && email)) {
+    throw new Error('Exactly one of "accountId" or "email" is required.');
   }
 
-  // check that dependencies have been met ... other authentication methods
-  // that must have already been used (for multifactor flows)
-  const {requiredAuthenticationMethods} = token;
-  if(requiredAuthenticationMethods) {
-    const met = await checkAuthenticationRequirements({
-      requiredAuthenticationMethods,
-      authenticatedMethods
-    });
-    if(!met) {
-      throw new BedrockError(
-        'Authentication token dependencies not met; other authentication ' +
-        'methods must be used before verifying this token.',
-        'NotAllowedError', {
+  const parsed = _parsePasswordHash({hash});
+  if(_needsRehash(parsed)) {
+    throw new BedrockError(
+      'Password hash parameters do not meet the current policy.', {
+        name: 'ConstraintError',
+        details: {
           httpStatusCode: 400,
           public: true
-        });
-    }
+        }
+      });
   }
 
-  let verified = false;
-
-  if(type === 'nonce') {
-    // token already verified because that's how it was found above
-    verified = true;
-    // nonce now used; remove it
-    try {
-      await remove({accountId: record.account.id, type});
-    } catch(e) {
-      // only throw error if remove fails and token doesn't expire,
-      // otherwise let it expire
-      if(e.name !== 'NotFoundError' && !token.expires) {
-        throw e;
-      }
-    }
-  } else if(type === 'totp') {
-    // test the `challenge` provided to the API against the secret drawn from
-    // the accounts database...
+  const audit = {
+    type: 'token.upgrade', accountId, email, tokenType: 'password',
+    authenticationOrigin
+  };
+  try {
+    await _upgradePassword({accountId, email, currentHash, parsed});
+  } catch(e) {
+    await writeAuditRecord({...audit, outcome: 'failure'});
+    throw e;
+  }
+  await writeAuditRecord({...audit, outcome: 'success'});
+}
 
-    // backwards compatibility (no `token.otpAuthUrl`)
-    if(!token.otpAuthUrl) {
-      // use defaults
-      verified = await totp.verify({token: challenge, secret: token.secret});
-    } else {
-      // parse and use params from `otpAuthUrl`
-      const params = totp.fromKeyUri({uri: token.otpAuthUrl});
-      verified = await totp.verify({...params, token: challenge});
-    }
-  } else {
-    // verify slow hash / unguessable challenge against fast hash value
-    verified = verifySlowHashOrUnguessableChallenge(
-      {clientId, slowHashOrUnguessableChallenge, sha256: token.sha256});
+/**
+ * Confirms a pending enrollment of a `totp` token created via `set()`. The
+ * token is only activated (and can only be verified via `verify()`) once a
+ * valid code generated from its secret is given; pending enrollments that
+ * are not confirmed expire after `config['authn-token'].totp.enrollmentTtl`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} [options.accountId] - The ID of the account.
+ * @param {string} [options.email] - The email of the account.
+ * @param {string} options.type - The type of token to confirm (`totp`).
+ * @param {string} [options.id] - The ID of the token to confirm; defaults to
+ *   the pending `totp` token, if any.
+ * @param {string} options.challenge - A code generated from the secret.
+ * @param {string} [options.authenticationOrigin] - The origin at which the
+ *   token is being confirmed, recorded in the audit log and included in
+ *   the token creation notification.
+ *
+ * @returns {Promise<boolean>} - Returns a Promise that resolves to `true` if
+ *   the token was activated, `false` if the code is not valid.
+ */
+export async function confirm({
+  accountId, email, type, id, challenge, authenticationOrigin
+} = {}) {
+  assert.optionalString(accountId, 'accountId');
+  assert.optionalString(email, 'email');
+  assert.optionalString(id, 'id');
+  assert.string(challenge, 'challenge');
+  assert.optionalString(authenticationOrigin, 'authenticationOrigin');
+  if(!(accountId || email) || (accountId && email)) {
+    throw new Error('Exactly one of "accountId" or "email" is required.');
+  }
+  validateTokenType(type);
+  if(type !== 'totp') {
+    throw new Error('Only "totp" tokens can be confirmed.');
   }
 
-  if(!verified) {
+  const audit = {
+    type: 'token.confirm', accountId, email, tokenType: type,
+    authenticationOrigin
+  };
+  let result;
+  try {
+    result = await _confirmTotpToken({accountId, email, id, challenge});
+  } catch(e) {
+    await writeAuditRecord({...audit, outcome: 'failure'});
+    throw e;
+  }
+  if(!result) {
+    await writeAuditRecord({...audit, outcome: 'failure'});
     return false;
   }
+  const {account, token} = result;
+  await writeAuditRecord({
+    ...audit,
+    accountId: account.id,
+    authenticationMethod: token.authenticationMethod,
+    outcome: 'success'
+  });
 
-  // verified; return account ID, email, and token information
-  return {
-    id: record.account.id,
-    email: record.account.email || null,
-    token: {
+  try {
+    await _notify({
+      account: account.id, email: account.email,
+      authenticationMethod: token.authenticationMethod, authenticationOrigin,
+      token: {id: token.id, type},
+      notification: {type: 'create'}
+    });
+  } catch(error) {
+    logger.error('Failed to notify user of token creation.', {
+      account: account.id,
       type,
-      authenticationMethod: token.authenticationMethod || type
-    }
-  };
+      error
+    });
+  }
+
+  return true;
 }
 
 async function _initToken({
@@ -416,10 +707,7 @@ async function _initToken({
   return token;
 }
 
-async function _pushNonceToken({accountId, email, token}) {
-  const {maxNonceCount: maxCount} = config['authn-token'].nonce;
-  const type = 'nonce';
-
+async function _pushToken({accountId, email, type, token, maxCount}) {
   // keep trying to push nonce token until success or error
   let retries = 10;
   while(true) {
@@ -440,23 +728,28 @@ async function _pushNonceToken({accountId, email, token}) {
         });
     }
 
-    // if new nonce token was not pushed, then either the account doesn't
-    // exist or there were too many nonces at the time
+    // if new token was not pushed, then either the account doesn't
+    // exist or there were too many tokens at the time
 
-    // check if too many nonces exist...
-    const {allTokens, expiredTokens} = await getAll({accountId, email, type});
+    // check if too many tokens exist; nonces are counted per purpose...
+    let {allTokens, expiredTokens} = await getAll({accountId, email, type});
+    if(type === 'nonce') {
+      allTokens = allTokens.filter(t => t.purpose === token.purpose);
+      expiredTokens = expiredTokens.filter(t => t.purpose === token.purpose);
+    }
 
     // if `allTokens` length exceeds `maxCount`...
     if(allTokens.length >= maxCount) {
       // first try to remove any expired tokens
       if(expiredTokens.length > 0 &&
-        await removeExpiredTokens({accountId, email, type: 'nonce'})) {
+        await removeExpiredTokens({accountId, email, type})) {
         // expired tokens removed, loop to try again
         continue;
       }
 
+      const state = type === 'nonce' ? 'pending' : 'registered';
       throw new BedrockError(
-        `No more than ${maxCount} tokens can be pending at once.`,
+        `No more than ${maxCount} tokens can be ${state} at once.`,
         'NotAllowedError', {
           httpStatusCode: 400,
           public: true
@@ -468,16 +761,24 @@ async function _pushNonceToken({accountId, email, token}) {
 }
 
 async function _addNonceToken({
-  accountId, email, token, clientId, typeOptions
+  accountId, email, token, clientId, purpose, typeOptions
 }) {
   const cfg = config['authn-token'];
-  const {defaults: {ttl}, maxNonceCount} = cfg.nonce;
+  const {
+    ttl, maxNonceCount, entryStyle, length, format, groupSize, stateless
+  } = _getNoncePolicy({typeOptions});
+
+  if(stateless) {
+    return _addStatelessNonceToken(
+      {accountId, email, token, clientId, purpose, ttl});
+  }
 
   // check if nonce exists
   const {tokens} = await getAll({accountId, email, type: 'nonce'});
 
-  // if length of tokens exceeds `maxNonceCount`, throw `NotAllowed` error
-  if(tokens.length >= maxNonceCount) {
+  // if length of tokens for the same purpose exceeds `maxNonceCount`, throw
+  // `NotAllowed` error
+  if(tokens.filter(t => t.purpose === purpose).length >= maxNonceCount) {
     throw new BedrockError(
       `No more than ${maxNonceCount} tokens can be pending at once.`,
       'NotAllowedError', {
@@ -486,17 +787,26 @@ async function _addNonceToken({
       });
   }
 
+  // limit how often nonces can be issued to prevent flooding the account
+  // holder with notifications by repeatedly creating and expiring nonces
+  if(cfg.nonce.rateLimit.enabled) {
+    const {account} = await getAccountRecord({accountId, email});
+    await _consumeNonceRateLimit({account, clientId});
+  }
+
   // generate new challenge; if `accountId` or `email` was provided that is
   // marked as belonging to a tester account, then always generate the same
-  // challenge token
-  const challenge = _isTesterAccount({accountId, email}) ?
-    TESTER_CHALLENGE_TOKEN : await generateNonce(typeOptions);
+  // challenge token; the normalized challenge (e.g., without separators) is
+  // what gets hashed
+  const {challenge, normalized} = _isTesterAccount({accountId, email}) ?
+    {challenge: TESTER_CHALLENGE_TOKEN, normalized: TESTER_CHALLENGE_TOKEN} :
+    await generateNonce({entryStyle, length, format, groupSize});
 
   // if nonce challenge entry style is human, then we must use a slow hash
   // function to defend against brute force attacks; machine challenges are
   // sufficiently large and random to be unguessable
   let slowHashOrUnguessableChallenge;
-  if(typeOptions.entryStyle === 'human') {
+  if(entryStyle === 'human') {
     // reuse hash params from the last token that has them, provided that they
     // are up to date with the system configuration
     let hashParameters;
@@ -520,7 +830,7 @@ async function _addNonceToken({
     // hash challenge
     const {hash, phc} = await pbkdf2({
       iterations: hashParameters.params.i,
-      secret: challenge,
+      secret: normalized,
       salt: hashParameters.salt,
       saltSize: cfg.pbkdf2.saltSize
     });
@@ -534,68 +844,158 @@ async function _addNonceToken({
     slowHashOrUnguessableChallenge = challenge;
   }
 
-  // fast hash client ID and slow hash / challenge combination for storage
-  token.sha256 = fastHash({clientId, slowHashOrUnguessableChallenge});
+  // fast hash client ID, slow hash / challenge, and purpose combination for
+  // storage
+  if(purpose !== undefined) {
+    token.purpose = purpose;
+  }
+  Object.assign(
+    token, pepperedHash({clientId, slowHashOrUnguessableChallenge, purpose}));
   token.expires = new Date(Date.now() + ttl);
 
-  await _pushNonceToken({accountId, email, token});
+  await _pushToken({
+    accountId, email, type: 'nonce', token, maxCount: maxNonceCount
+  });
 
   // include `challenge` in return value so it can, for example, be sent to
   // a user via some communication mechanism (e.g., email)
   return {challenge};
 }
 
-async function _addPasswordToken({accountId, email, token, hash}) {
-  assert.string(hash, 'hash');
+async function _addStatelessNonceToken({
+  accountId, email, token, clientId, purpose, ttl
+}) {
+  if(!isStatelessNonceEnabled()) {
+    throw new BedrockError(
+      'Stateless nonces are not configured.', {
+        name: 'NotSupportedError',
+        details: {httpStatusCode: 500, public: true}
+      });
+  }
 
-  // try to deserialize `hash` into PHC object
-  const phc = deserializePhc({hash});
+  // the account is read, but nothing is written, not even to move any tokens
+  // out of account meta; rate limits are only applied (and written) if
+  // enabled for stateless nonces
+  const {account} = await brAccount.get(
+    accountId ? {id: accountId} : {email});
+  const {rateLimit} = config['authn-token'].nonce;
+  if(rateLimit.enabled && rateLimit.stateless) {
+    await _consumeNonceRateLimit({account, clientId});
+  }
+
+  const {challenge} = createStatelessNonce(
+    {accountId: account.id, token, clientId, purpose, ttl});
+  return {challenge};
+}
+
+async function _consumeNonceRateLimit({account, clientId}) {
+  await consume({
+    action: 'nonce',
+    subjects: {account: account.id, email: account.email, client: clientId},
+    windows: config['authn-token'].nonce.rateLimit.windows
+  });
+}
+
+// gets the nonce policy from the given `typeOptions`, applying the options of
+// the named `profile`, if any, and then the global nonce config as defaults
+function _getNoncePolicy({typeOptions}) {
+  const cfg = config['authn-token'].nonce;
+  const {profile: name, ttl} = typeOptions;
+  assert.optionalString(name, 'typeOptions.profile');
+  assert.optionalNumber(ttl, 'typeOptions.ttl');
+
+  let profile = {};
+  if(name !== undefined) {
+    if(!Object.hasOwn(cfg.profiles, name)) {
+      throw new Error(`Unknown nonce profile "${name}".`);
+    }
+    profile = cfg.profiles[name];
+  }
 
-  // enforce minimum number of iterations
-  const {minIterations} = config['authn-token'].pbkdf2;
-  if(phc.params.i < minIterations) {
+  // a `ttl` given by the caller must be within the configured bounds
+  if(ttl !== undefined && !(ttl >= cfg.minTtl && ttl <= cfg.maxTtl)) {
     throw new BedrockError(
-      `Iteration count (${phc.params.i}) must be at least ${minIterations}.`, {
+      `Nonce TTL (${ttl}) must be between ${cfg.minTtl} and ` +
+      `${cfg.maxTtl} milliseconds.`, {
         name: 'ConstraintError',
-        details: {
-          httpStatusCode: 400,
-          public: true
-        }
+        details: {httpStatusCode: 400, public: true}
       });
   }
 
-  // only include `id`, `params`, and `salt` from parsed PHC object; the hash
-  // value is to be hashed again with a fast hash below for more secure storage
-  const {id, params, salt} = phc;
-  token.hashParameters = {id, params, salt};
-  token.sha256 = fastHash({slowHashOrUnguessableChallenge: hash});
+  return {
+    ttl: ttl ?? profile.ttl ?? cfg.defaults.ttl,
+    maxNonceCount: profile.maxNonceCount ?? cfg.maxNonceCount,
+    entryStyle: typeOptions.entryStyle ?? profile.entryStyle ??
+      cfg.defaults.entryStyle,
+    length: typeOptions.length ?? profile.length ?? cfg.defaults.length,
+    format: typeOptions.format ?? profile.format ?? cfg.defaults.format,
+    groupSize: typeOptions.groupSize ?? profile.groupSize ??
+      cfg.defaults.groupSize,
+    stateless: typeOptions.stateless ?? profile.stateless ?? false
+  };
+}
+
+async function _addPasswordToken({accountId, email, token, hash}) {
+  assert.string(hash, 'hash');
+  Object.assign(token, _parsePasswordHash({hash}));
   await setToken({accountId, email, type: 'password', token});
 }
 
-async function _addTotpToken({accountId, email, token, serviceId}) {
-  // get the account record to both get the account email and to check whether
-  // another `totp` token is already set
-  const record = await getAccountRecord({
-    accountId, email, type: 'totp', requireToken: false
-  });
+function _parsePasswordHash({hash}) {
+  // try to deserialize `hash` into PHC object
+  const phc = deserializePhc({hash});
 
-  // ensure no existing totp secret is set
-  const exists = !!record.meta?.['bedrock-authn-token']?.tokens?.totp;
-  if(exists) {
-    throw new BedrockError(
-      'TOTP authentication token already set.', 'DuplicateError', {
-        httpStatusCode: 409,
-        public: true
-      });
+  // enforce minimum costs for the hash algorithm
+  for(const {param, label, min} of _getMinimumCosts({id: phc.id})) {
+    if(phc.params[param] < min) {
+      throw new BedrockError(
+        `${label} (${phc.params[param]}) must be at least ${min}.`, {
+          name: 'ConstraintError',
+          details: {
+            httpStatusCode: 400,
+            public: true
+          }
+        });
+    }
+  }
+
+  // only include `id`, `version`, `params`, and `salt` from parsed PHC object;
+  // the hash value is to be hashed again with a fast hash below for more
+  // secure storage
+  const {id, version, params, salt} = phc;
+  const hashParameters = {id, params, salt};
+  if(version !== undefined) {
+    hashParameters.version = version;
+  }
+  return {
+    hashParameters, ...pepperedHash({slowHashOrUnguessableChallenge: hash})
+  };
+}
+
+async function _addTotpToken({
+  accountId, email, token, serviceId, name, typeOptions
+}) {
+  const cfg = config['authn-token'].totp;
+  const type = 'totp';
+  const {qrCodeFormats} = typeOptions;
+  if(qrCodeFormats !== undefined) {
+    validateQrCodeFormats(qrCodeFormats);
   }
 
+  // get the account record to both get the account email and any pending
+  // enrollment
+  const record = await getAccountRecord({
+    accountId, email, type, requireToken: false
+  });
+
   // set email for use in label/url
   if(record.account.email) {
     email = record.account.email;
   }
+  accountId = record.account.id;
 
   // store both secret and key uri along with token
-  const {algorithm, period, digits} = config['authn-token'].totp;
+  const {algorithm, period, digits} = cfg;
   const {secret} = await totp.generateSecret({algorithm});
   token.secret = totp.base32Encode(secret);
   // prepare TOTP params
@@ -616,40 +1016,377 @@ async function _addTotpToken({accountId, email, token, serviceId}) {
   // backwards compatibility; represent `accountname` as `label` alias
   params.label = params.accountname;
 
-  await setToken({accountId, email, type: 'totp', token});
+  if(name !== undefined) {
+    token.name = name;
+  }
+  if(serviceId !== undefined) {
+    token.serviceId = serviceId;
+  }
 
-  return params;
-}
+  // secret cannot be used until enrollment is confirmed via `confirm()`
+  token.pending = true;
+  token.expires = new Date(Date.now() + cfg.enrollmentTtl);
 
-async function _createToken({
-  accountId, email, type,
-  authenticationMethod, requiredAuthenticationMethods,
-  hash, clientId, serviceId, typeOptions
-}) {
-  const token = await _initToken(
-    {authenticationMethod, requiredAuthenticationMethods});
+  // encrypt secret and key uri at rest if configured
+  token = await encryptTokenSecrets({
+    accountId, token,
+    secrets: {secret: token.secret, otpAuthUrl: token.otpAuthUrl}
+  });
 
-  let result;
-  if(type === 'nonce') {
-    result = _addNonceToken({accountId, email, token, clientId, typeOptions});
-  } else if(type === 'password') {
-    result = _addPasswordToken({accountId, email, token, hash});
-  } else if(type === 'totp') {
-    result = _addTotpToken({accountId, email, token, serviceId});
+  // only one enrollment may be pending at a time; replace any other
+  for(const pending of record.tokens.filter(t => t.pending)) {
+    try {
+      await removeToken({accountId, type, id: pending.id});
+    } catch(e) {
+      // pending enrollment concurrently confirmed or removed
+      if(e.name !== 'NotFoundError') {
+        throw e;
+      }
+    }
   }
+  await _pushToken({accountId, type, token, maxCount: cfg.maxTokenCount});
 
-  return {id: token.id, type, ...await result};
+  const result = {...params, pending: true, expires: token.expires};
+  if(qrCodeFormats?.length > 0) {
+    // render `otpAuthUrl` for scanning by an authenticator app
+    result.qrCode = await createQrCode(
+      {text: params.otpAuthUrl, formats: qrCodeFormats});
+  }
+  return result;
 }
 
-function _getMatchingNonce({
-  record, clientId, slowHashOrUnguessableChallenge
-}) {
-  const tokens = record.meta['bedrock-authn-token'].tokens.nonce;
+async function _confirmTotpToken({accountId, email, id, challenge}) {
+  const type = 'totp';
+  const record = await getAccountRecord({
+    accountId, email, id, type, requireToken: true
+  });
   const now = new Date();
-  for(const token of tokens) {
-    if(!verifySlowHashOrUnguessableChallenge(
-      {clientId, slowHashOrUnguessableChallenge, sha256: token.sha256})) {
-      continue;
+  const pending = record.tokens.find(
+    t => t.pending && !(t.expires < now) && (id === undefined || t.id === id));
+  if(!pending) {
+    throw new BedrockError(
+      'Pending TOTP enrollment not found.', 'NotFoundError', {
+        httpStatusCode: 404,
+        public: true
+      });
+  }
+
+  const {otpAuthUrl} = decryptTokenSecrets(
+    {accountId: record.account.id, token: pending});
+  const params = totp.fromKeyUri({uri: otpAuthUrl});
+  const step = await _findTotpStep({params, challenge});
+  if(step === undefined) {
+    return false;
+  }
+
+  // activate the token and store the accepted time step so that the code
+  // cannot be used again
+  let token;
+  await updateToken({
+    accountId: record.account.id, type, id: pending.id,
+    update: ({token: current}) => {
+      if(!current.pending) {
+        // enrollment concurrently confirmed
+        token = undefined;
+        return false;
+      }
+      token = {...current, lastUsedStep: step};
+      delete token.pending;
+      delete token.expires;
+      return token;
+    }
+  });
+  return token ? {account: record.account, token} : false;
+}
+
+function _decryptTotpToken({accountId, token}) {
+  if(!token.encrypted) {
+    return token;
+  }
+  const decrypted = {...token, ...decryptTokenSecrets({accountId, token})};
+  delete decrypted.encrypted;
+  return decrypted;
+}
+
+async function _addRecoveryCodeToken({
+  accountId, email, token, typeOptions
+}) {
+  const cfg = config['authn-token'];
+  const {count, length} = cfg.recoveryCode;
+
+  // unless regenerating, ensure no existing batch of codes is set
+  if(!typeOptions.regenerate) {
+    const record = await getAccountRecord({
+      accountId, email, type: 'recoveryCode', requireToken: false
+    });
+    if(record.tokens) {
+      throw new BedrockError(
+        'Recovery code authentication token already set.', 'DuplicateError', {
+          httpStatusCode: 409,
+          public: true
+        });
+    }
+  }
+
+  // generate codes and slow hash each one with the same hash parameters so
+  // a client only needs to run the slow hash once to verify a code
+  const hashParameters = {
+    id: cfg.pbkdf2.id,
+    params: {i: cfg.pbkdf2.iterations}
+  };
+  const codes = [];
+  token.codes = [];
+  for(let i = 0; i < count; ++i) {
+    // hash the normalized code so that it verifies however it is entered
+    const {code, normalized} = await generateRecoveryCode({length});
+    const {hash, phc} = await pbkdf2({
+      iterations: hashParameters.params.i,
+      secret: normalized,
+      salt: hashParameters.salt,
+      saltSize: cfg.pbkdf2.saltSize
+    });
+    if(!hashParameters.salt) {
+      hashParameters.salt = phc.salt;
+    }
+    codes.push(code);
+    const sha256 = fastHash({slowHashOrUnguessableChallenge: hash});
+    token.codes.push({sha256});
+  }
+  token.hashParameters = hashParameters;
+
+  // replaces any existing batch of codes
+  await setToken({accountId, email, type: 'recoveryCode', token});
+
+  // include `codes` in return value; this is the only time they are available
+  return {codes};
+}
+
+async function _addWebAuthnToken({accountId, email, token, credential}) {
+  const cfg = config['authn-token'].webauthn;
+  const type = 'webauthn';
+
+  // get the account record for registration options and to check existing
+  // credentials
+  const record = await getAccountRecord({
+    accountId, email, type, requireToken: false
+  });
+  const now = new Date();
+  const tokens = record.tokens.filter(t => !(t.expires < now));
+
+  if(!credential) {
+    // start registration; store challenge in a pending token that will be
+    // completed when the client returns a credential that signs it
+    const registrationOptions = await createRegistrationOptions(
+      {account: record.account, tokens});
+    token.pending = true;
+    token.challenge = registrationOptions.challenge;
+    token.expires = new Date(now.getTime() + cfg.registrationTtl);
+    await _pushToken({
+      accountId: record.account.id, type, token,
+      maxCount: cfg.maxCredentialCount
+    });
+    return {registrationOptions};
+  }
+
+  // complete registration; the `authenticationMethod` and
+  // `requiredAuthenticationMethods` given when registration was started apply
+  const {pendingToken, credential: registered} = await verifyRegistration(
+    {credential, pendingTokens: tokens.filter(t => t.pending)});
+  if(tokens.some(t => t.credentialId === registered.credentialId)) {
+    throw new BedrockError(
+      'WebAuthn credential already registered.', 'DuplicateError', {
+        httpStatusCode: 409,
+        public: true
+      });
+  }
+  await updateToken({
+    accountId: record.account.id, type, id: pendingToken.id,
+    update: ({token}) => {
+      if(!token.pending) {
+        // registration was concurrently completed
+        throw new BedrockError(
+          'WebAuthn credential already registered.', 'DuplicateError', {
+            httpStatusCode: 409,
+            public: true
+          });
+      }
+      return {
+        id: token.id,
+        authenticationMethod: token.authenticationMethod,
+        requiredAuthenticationMethods: token.requiredAuthenticationMethods,
+        ...registered,
+        created: new Date()
+      };
+    }
+  });
+
+  return {id: pendingToken.id, credentialId: registered.credentialId};
+}
+
+async function _createToken({
+  accountId, email, type,
+  authenticationMethod, requiredAuthenticationMethods,
+  hash, credential, clientId, serviceId, name, purpose, typeOptions
+}) {
+  const token = await _initToken(
+    {authenticationMethod, requiredAuthenticationMethods});
+
+  let result;
+  if(type === 'nonce') {
+    result = _addNonceToken(
+      {accountId, email, token, clientId, purpose, typeOptions});
+  } else if(type === 'password') {
+    result = _addPasswordToken({accountId, email, token, hash});
+  } else if(type === 'totp') {
+    result = _addTotpToken(
+      {accountId, email, token, serviceId, name, typeOptions});
+  } else if(type === 'webauthn') {
+    result = _addWebAuthnToken({accountId, email, token, credential});
+  } else if(type === 'recoveryCode') {
+    result = _addRecoveryCodeToken({accountId, email, token, typeOptions});
+  }
+
+  return {id: token.id, type, ...await result};
+}
+
+function _getMinimumCosts({id}) {
+  const cfg = config['authn-token'];
+  if(id === 'argon2id') {
+    return [
+      {param: 'm', label: 'Memory cost', min: cfg.argon2id.minMemory},
+      {param: 't', label: 'Iteration count', min: cfg.argon2id.minIterations}
+    ];
+  }
+  if(id === 'scrypt') {
+    return [
+      {param: 'ln', label: 'CPU/memory cost', min: cfg.scrypt.minLogN},
+      {param: 'r', label: 'Block size', min: cfg.scrypt.minBlockSize}
+    ];
+  }
+  return [
+    {param: 'i', label: 'Iteration count', min: cfg.pbkdf2.minIterations}
+  ];
+}
+
+// gets the hash parameters required by the current policy for the algorithm
+// used by a password token; if the algorithm is not supported (e.g., legacy
+// bcrypt), the default algorithm is used
+function _getTargetHashParameters({hashParameters}) {
+  const cfg = config['authn-token'];
+  const id = hashParameters?.id;
+  if(id === 'argon2id') {
+    const {memory: m, iterations: t, parallelism: p} = cfg.argon2id;
+    return {id, version: 19, params: {m, t, p}};
+  }
+  if(id === 'scrypt') {
+    const {logN: ln, blockSize: r, parallelism: p} = cfg.scrypt;
+    return {id, params: {ln, r, p}};
+  }
+  return {id: cfg.pbkdf2.id, params: {i: cfg.pbkdf2.iterations}};
+}
+
+function _needsRehash({hashParameters}) {
+  const target = _getTargetHashParameters({hashParameters});
+  if(hashParameters?.id !== target.id) {
+    return true;
+  }
+  // every target parameter, including parallelism, is part of the policy
+  return Object.keys(target.params).some(
+    param => !(hashParameters.params[param] >= target.params[param]));
+}
+
+// replaces the fast hash of a verified password with one that uses the current
+// pepper, if the current pepper is not already in use
+async function _repepperPassword({
+  accountId, token, slowHashOrUnguessableChallenge
+}) {
+  const {currentId} = config['authn-token'].pepper;
+  if(currentId === null || token.pepperId === currentId) {
+    return;
+  }
+  try {
+    await updateToken({
+      accountId, type: 'password', id: token.id,
+      update: ({token}) => {
+        // do not replace a concurrently changed or re-peppered password
+        if(token.pepperId === currentId ||
+          !verifySlowHashOrUnguessableChallenge({
+            slowHashOrUnguessableChallenge, sha256: token.sha256,
+            pepperId: token.pepperId
+          })) {
+          return false;
+        }
+        return {...token, ...pepperedHash({slowHashOrUnguessableChallenge})};
+      }
+    });
+  } catch(error) {
+    // password was verified; the hash will be re-peppered on a later login
+    logger.error('Failed to re-pepper password hash.', {
+      account: accountId,
+      error
+    });
+  }
+}
+
+// finds the active `totp` token that the given code was generated from and
+// the time step it was generated for, if any
+async function _getMatchingTotp({record, challenge}) {
+  for(const token of record.tokens) {
+    const {secret, otpAuthUrl} = decryptTokenSecrets(
+      {accountId: record.account.id, token});
+
+    // parse and use params from `otpAuthUrl`; backwards compatibility (no
+    // `token.otpAuthUrl`), use defaults
+    const params = otpAuthUrl ? totp.fromKeyUri({uri: otpAuthUrl}) : {secret};
+    const step = await _findTotpStep({
+      params, challenge, lastUsedStep: token.lastUsedStep
+    });
+    if(step !== undefined) {
+      return {token, step};
+    }
+  }
+}
+
+// finds the time step within the configured window for which a TOTP code was
+// generated, skipping steps at or before the last accepted step; returns
+// `undefined` if no step matches
+async function _findTotpStep({params, challenge, lastUsedStep = -1}) {
+  const {window} = config['authn-token'].totp;
+  const period = params.period ?? 30;
+  const current = Math.floor(Date.now() / 1000 / period);
+  for(let step = current - window; step <= current + window; ++step) {
+    if(step <= lastUsedStep) {
+      continue;
+    }
+    const verified = await totp.verify({
+      ...params, token: challenge, delta: 0, now: step * period * 1000
+    });
+    if(verified) {
+      return step;
+    }
+  }
+}
+
+async function _getMatchingNonce({
+  record, clientId, hash, challenge, purpose
+}) {
+  const tokens = record.tokens;
+  const now = new Date();
+  // slow hashes of `challenge` by hash parameters
+  const hashes = new Map();
+  for(const token of tokens) {
+    let slowHashOrUnguessableChallenge = hash ?? challenge;
+    if(challenge !== undefined && token.hashParameters) {
+      // human-entry nonce given as entered by the user; normalize and slow
+      // hash it here
+      slowHashOrUnguessableChallenge = await _hashNonceChallenge(
+        {challenge, hashParameters: token.hashParameters, hashes});
+    }
+    if(!verifySlowHashOrUnguessableChallenge({
+      clientId, slowHashOrUnguessableChallenge, purpose, sha256: token.sha256,
+      pepperId: token.pepperId
+    })) {
+      continue;
     }
     if(token.expires && now >= token.expires) {
       throw new BedrockError(
@@ -663,6 +1400,274 @@ function _getMatchingNonce({
   }
 }
 
+async function _hashNonceChallenge({challenge, hashParameters, hashes}) {
+  const key = JSON.stringify(hashParameters);
+  let hash = hashes.get(key);
+  if(hash === undefined) {
+    ({hash} = await pbkdf2(
+      {secret: normalizeNonce({challenge}), phc: hashParameters}));
+    hashes.set(key, hash);
+  }
+  return hash;
+}
+
+function _getNonceById({nonces, id}) {
+  const token = nonces.find(t => t.id === id);
+  if(!token) {
+    // nonce never existed, was already used, or was invalidated
+    throw new BedrockError(
+      'Authentication token not found.', 'NotFoundError', {
+        httpStatusCode: 404,
+        public: true
+      });
+  }
+  if(token.expires && new Date() >= token.expires) {
+    throw new BedrockError(
+      'Authentication token has expired.',
+      'NotFoundError', {
+        httpStatusCode: 404,
+        public: true
+      });
+  }
+  return token;
+}
+
+function _getMatchingWebAuthnCredential({record, credential}) {
+  return record.tokens.find(
+    t => !t.pending && t.credentialId === credential.id);
+}
+
+// derives fake hash parameters that are always the same for a given email
+// address and token type; passwords use the configured password algorithm,
+// other types are hashed with the default algorithm
+function _getFakeHashParameters({email, type}) {
+  const cfg = config['authn-token'];
+  const salt = crypto.createHmac('sha256', _getFakeHashParametersSecret())
+    .update(`${type}:${email.toLowerCase()}`)
+    .digest()
+    .subarray(0, cfg.pbkdf2.saltSize)
+    .toString('base64')
+    .replace(/=+$/, '');
+  const {id, params} = _getTargetHashParameters({
+    hashParameters: type === 'password' ?
+      {id: cfg.fakeHashParameters.passwordAlgorithm} : undefined
+  });
+  return {id, params, salt};
+}
+
+function _getFakeHashParametersSecret() {
+  const cfg = config['authn-token'].fakeHashParameters;
+  if(cfg.secret !== null) {
+    return Buffer.from(cfg.secret, 'base64url');
+  }
+  if(!_randomFakeHashParametersSecret) {
+    _randomFakeHashParametersSecret = crypto.randomBytes(32);
+  }
+  return _randomFakeHashParametersSecret;
+}
+
+// returns whether tokens of `type` store fast hashes of slow hashed values
+function _isHashedType(type) {
+  return type === 'password' || type === 'nonce' || type === 'recoveryCode';
+}
+
+async function _recordNonceGuess({record}) {
+  const {maxFailedAttempts} = config['authn-token'].nonce;
+  const {account} = record;
+
+  // count the failed attempt against every pending human-entry nonce (those
+  // with `hashParameters`) for the account; machine-entry nonces are
+  // unguessable and expired nonces cannot be verified anyway
+  const invalidated = [];
+  const now = new Date();
+  for(const pending of record.tokens) {
+    if(!pending.hashParameters || now >= pending.expires) {
+      continue;
+    }
+    let removed = false;
+    try {
+      await updateToken({
+        accountId: account.id, type: 'nonce', id: pending.id,
+        update: ({token}) => {
+          const failedAttempts = (token.failedAttempts ?? 0) + 1;
+          // too many failed attempts; invalidate (remove) the nonce
+          removed = failedAttempts >= maxFailedAttempts;
+          return removed ? null : {...token, failedAttempts};
+        }
+      });
+    } catch(e) {
+      // nonce concurrently used or removed
+      if(e.name !== 'NotFoundError') {
+        throw e;
+      }
+      removed = false;
+    }
+    if(removed) {
+      invalidated.push(pending);
+    }
+  }
+
+  // notify the user that someone may be guessing their challenges
+  for(const token of invalidated) {
+    try {
+      await _notify({
+        account: account.id,
+        email: account.email,
+        authenticationMethod: token.authenticationMethod,
+        token: {id: token.id, type: 'nonce'},
+        notification: {type: 'guessLimitExceeded'}
+      });
+    } catch(error) {
+      logger.error('Failed to notify user of token guess limit.', {
+        account: account.id,
+        type: 'nonce',
+        error
+      });
+    }
+  }
+}
+
+// does work equivalent to a failed verification when the account or token to
+// verify does not exist
+async function _failMissingToken({
+  accountId, email, type, clientId, challenge, slowHashOrUnguessableChallenge,
+  purpose
+}) {
+  // count a failed attempt, whether or not the account exists; throws if
+  // too many failed attempts have been made
+  let record;
+  try {
+    record = await getAccountRecord({accountId, email});
+  } catch(e) {
+    if(e.name !== 'NotFoundError') {
+      throw e;
+    }
+  }
+  if(record) {
+    await reserveAttempt({accountId: record.account.id, type});
+  } else {
+    await reserveUnknownAccountAttempt({accountId, email, type});
+  }
+
+  // slow hash a nonce given as entered by the user, as if a human-entry nonce
+  // had been found
+  if(type === 'nonce' && challenge !== undefined) {
+    slowHashOrUnguessableChallenge = await _hashNonceChallenge({
+      challenge, hashParameters: _getFakeHashParameters(
+        {email: email ?? accountId, type}),
+      hashes: new Map()
+    });
+  }
+
+  // compare against a dummy fast hash as if a token had been found
+  const {currentId} = config['authn-token'].pepper;
+  verifySlowHashOrUnguessableChallenge({
+    clientId, slowHashOrUnguessableChallenge, purpose, sha256: DUMMY_SHA256,
+    pepperId: currentId ?? undefined
+  });
+}
+
+async function _verifyStatelessNonce({
+  accountId, email, id, challenge, clientId, purpose, authenticatedMethods
+}) {
+  // only read the account if it was given by `email`
+  let account;
+  if(accountId === undefined) {
+    try {
+      ({account} = await getAccountRecord({email}));
+    } catch(e) {
+      if(e.name !== 'NotFoundError' ||
+        !config['authn-token'].enumerationProtection.enabled) {
+        throw e;
+      }
+      // do not reveal whether the account exists
+      return false;
+    }
+  }
+  const token = verifyStatelessNonce({
+    challenge, accountId: accountId ?? account.id, clientId, purpose
+  });
+  if(!token || (id !== undefined && token.id !== id)) {
+    return false;
+  }
+
+  const {requiredAuthenticationMethods} = token;
+  if(requiredAuthenticationMethods) {
+    const met = await checkAuthenticationRequirements({
+      requiredAuthenticationMethods,
+      authenticatedMethods
+    });
+    if(!met) {
+      throw new BedrockError(
+        'Authentication token dependencies not met; other authentication ' +
+        'methods must be used before verifying this token.',
+        'NotAllowedError', {
+          httpStatusCode: 400,
+          public: true
+        });
+    }
+  }
+
+  // only consume the nonce once it has passed every check
+  markStatelessNonceUsed({payload: token});
+
+  return {
+    id: token.account,
+    email: account?.email || null,
+    token: {
+      type: 'nonce',
+      authenticationMethod: token.authenticationMethod || 'nonce'
+    }
+  };
+}
+
+// delays a failed verification until it has taken at least the configured
+// minimum duration when enumeration protection is enabled
+async function _padFailure({start}) {
+  const {enabled, minDuration} = config['authn-token'].enumerationProtection;
+  const delay = start + minDuration - Date.now();
+  if(enabled && delay > 0) {
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+async function _upgradePassword({accountId, email, currentHash, parsed}) {
+  const type = 'password';
+  const record = await getAccountRecord({
+    accountId, email, type, requireToken: true
+  });
+
+  // count the attempt as failed until `currentHash` matches; throws if too
+  // many failed attempts have been made
+  const reserved = await reserveAttempt({accountId: record.account.id, type});
+
+  const {id} = record.tokens;
+  await updateToken({
+    accountId: record.account.id, type, id,
+    update: ({token}) => {
+      if(!verifySlowHashOrUnguessableChallenge({
+        slowHashOrUnguessableChallenge: currentHash, sha256: token.sha256,
+        pepperId: token.pepperId
+      })) {
+        throw new BedrockError(
+          'Current password hash does not match.',
+          'NotAllowedError', {
+            httpStatusCode: 400,
+            public: true
+          });
+      }
+      // legacy bcrypt `salt` and any previous pepper no longer apply
+      delete token.salt;
+      delete token.pepperId;
+      return {...token, ...parsed};
+    }
+  });
+
+  if(reserved) {
+    await resetFailedAttempts({accountId: record.account.id, type});
+  }
+}
+
 function _isTesterAccount({accountId, email}) {
   const cfg = config['authn-token'];
   const {testerAccounts} = cfg.nonce;
@@ -673,3 +1678,235 @@ function _isTesterAccount({accountId, email}) {
     e => (e.id && e.id === accountId) || (e.email && e.email === email));
   return match !== undefined;
 }
+
+async function _verify({
+  accountId, email, type, id, hash, challenge, credential, clientId, purpose,
+  authenticatedMethods
+}) {
+  const slowHashOrUnguessableChallenge = hash ?? challenge;
+
+  if(type === 'nonce' && challenge !== undefined &&
+    isStatelessNonceEnabled() && isStatelessNonce({challenge})) {
+    // stateless nonces are verified without reading the token from storage
+    return _verifyStatelessNonce({
+      accountId, email, id, challenge, clientId, purpose, authenticatedMethods
+    });
+  }
+
+  // get token from storage
+  let record;
+  let nonces;
+  try {
+    record = await getAccountRecord({
+      accountId, email, type, requireToken: true
+    });
+    if(type === 'totp') {
+      // only tokens with confirmed enrollments are active
+      record = {...record, tokens: record.tokens.filter(t => !t.pending)};
+    } else if(type === 'nonce') {
+      // only nonces bound to the same purpose can be used
+      nonces = record.tokens.filter(t => t.purpose === purpose);
+      // if an `id` is given (e.g., from a deep link), check only that nonce
+      record = {
+        ...record,
+        tokens: id === undefined ? nonces : [_getNonceById({nonces, id})]
+      };
+    }
+    if(Array.isArray(record.tokens) && record.tokens.length === 0) {
+      throw new BedrockError(
+        'Authentication token not found.', 'NotFoundError', {
+          httpStatusCode: 404,
+          public: true
+        });
+    }
+  } catch(e) {
+    if(e.name !== 'NotFoundError' ||
+      !config['authn-token'].enumerationProtection.enabled) {
+      throw e;
+    }
+    // do not reveal whether the account exists
+    await _failMissingToken({
+      accountId, email, type, clientId, challenge,
+      slowHashOrUnguessableChallenge, purpose
+    });
+    return false;
+  }
+
+  // count the attempt as failed until it succeeds; throws if too many failed
+  // attempts have been made
+  const reserved = await reserveAttempt({accountId: record.account.id, type});
+
+  let token;
+  let step;
+  if(type === 'nonce') {
+    token = await _getMatchingNonce(
+      {record, clientId, hash, challenge, purpose});
+    if(!token) {
+      // no matching nonce token, count guess against pending nonces (or only
+      // the nonce with the given `id`) and return early
+      await _recordNonceGuess({record});
+      return false;
+    }
+  } else if(type === 'totp') {
+    // test the `challenge` provided to the API against each secret drawn
+    // from the database...
+    ({token, step} = await _getMatchingTotp({record, challenge}) ?? {});
+    if(!token) {
+      // no matching secret, return early
+      return false;
+    }
+  } else if(type === 'webauthn') {
+    token = _getMatchingWebAuthnCredential({record, credential});
+    if(!token) {
+      // no matching credential, return early
+      return false;
+    }
+  } else {
+    token = record.tokens;
+  }
+
+  // check that dependencies have been met ... other authentication methods
+  // that must have already been used (for multifactor flows)
+  const {requiredAuthenticationMethods} = token;
+  if(requiredAuthenticationMethods) {
+    const met = await checkAuthenticationRequirements({
+      requiredAuthenticationMethods,
+      authenticatedMethods
+    });
+    if(!met) {
+      throw new BedrockError(
+        'Authentication token dependencies not met; other authentication ' +
+        'methods must be used before verifying this token.',
+        'NotAllowedError', {
+          httpStatusCode: 400,
+          public: true
+        });
+    }
+  }
+
+  let verified = false;
+  let remaining;
+
+  if(type === 'nonce') {
+    // token already verified because that's how it was found above
+    verified = true;
+    // nonce now used; remove it along with any other nonces for the same
+    // purpose, leaving nonces for other purposes pending
+    for(const {id: nonceId} of nonces) {
+      try {
+        await removeToken({accountId: record.account.id, type, id: nonceId});
+      } catch(e) {
+        // only throw error if remove fails and token doesn't expire,
+        // otherwise let it expire
+        if(e.name !== 'NotFoundError' && !token.expires) {
+          throw e;
+        }
+      }
+    }
+  } else if(type === 'totp') {
+    // code matched above; store the accepted time step so that neither this
+    // code nor any earlier one can be used again; if the same code is
+    // concurrently verified, only one verification succeeds
+    await updateToken({
+      accountId: record.account.id, type, id: token.id,
+      update: ({token}) => {
+        verified = !(token.lastUsedStep >= step);
+        return verified ? {...token, lastUsedStep: step} : false;
+      }
+    });
+  } else if(type === 'webauthn') {
+    // the challenge must be pending, i.e., issued for the account by
+    // `getWebAuthnAuthenticationOptions()`, unexpired, and unused; it is
+    // consumed whether or not the assertion verifies so that a captured
+    // assertion cannot be replayed, even by an authenticator without a sign
+    // counter
+    const issued = await consumeAuthenticationChallenge(
+      {accountId: record.account.id, challenge});
+    // verify the assertion against the server-issued challenge and the
+    // credential public key drawn from the accounts database
+    const result = issued ?
+      await verifyAssertion({credential, challenge, token}) :
+      {verified: false};
+    if(result.verified) {
+      // store the new sign counter; an authenticator that does not increase
+      // its counter is rejected when the counter is in use
+      await updateToken({
+        accountId: record.account.id, type, id: token.id,
+        update: ({token}) => {
+          if(result.newCounter > 0 && result.newCounter <= token.counter) {
+            result.verified = false;
+            return false;
+          }
+          return {...token, counter: result.newCounter, lastUsed: new Date()};
+        }
+      });
+    }
+    verified = result.verified;
+  } else if(type === 'recoveryCode') {
+    // consume the matching code, if any; a code that is concurrently consumed
+    // will not be found in the updated token and will not verify
+    const match = ({token}) => token.codes.findIndex(
+      ({sha256}) => verifySlowHashOrUnguessableChallenge(
+        {slowHashOrUnguessableChallenge, sha256}));
+    if(match({token}) !== -1) {
+      await updateToken({
+        accountId: record.account.id, type, id: token.id,
+        update: ({token}) => {
+          const index = match({token});
+          if(index === -1) {
+            return false;
+          }
+          token.codes.splice(index, 1);
+          verified = true;
+          remaining = token.codes.length;
+          return token;
+        }
+      });
+    }
+  } else {
+    // verify slow hash / unguessable challenge against fast hash value
+    verified = verifySlowHashOrUnguessableChallenge({
+      clientId, slowHashOrUnguessableChallenge, sha256: token.sha256,
+      pepperId: token.pepperId
+    });
+  }
+
+  if(!verified) {
+    // the reserved attempt remains counted as failed
+    return false;
+  }
+
+  if(reserved) {
+    await resetFailedAttempts({accountId: record.account.id, type});
+  }
+
+  if(type === 'password') {
+    await _repepperPassword(
+      {accountId: record.account.id, token, slowHashOrUnguessableChallenge});
+  }
+
+  // verified; return account ID, email, and token information
+  const result = {
+    id: record.account.id,
+    email: record.account.email || null,
+    token: {
+      type,
+      authenticationMethod: token.authenticationMethod || type
+    }
+  };
+  if(type === 'totp') {
+    // identify the authenticator that generated the code
+    result.token.id = token.id;
+    result.token.name = token.name ?? null;
+  }
+  if(remaining !== undefined) {
+    result.token.remaining = remaining;
+  }
+  if(type === 'password' && _needsRehash(token)) {
+    // let the client know to upgrade the password hash via
+    // `upgradePassword()` using the returned hash parameters
+    result.token.needsRehash = true;
+    result.token.hashParameters = _getTargetHashParameters(token);
+  }
+  return result;
+}
@@ -0,0 +1,219 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as database from '@bedrock/mongodb';
+import {
+  generateAuthenticationOptions,
+  generateRegistrationOptions,
+  verifyAuthenticationResponse,
+  verifyRegistrationResponse
+} from '@simplewebauthn/server';
+import assert from 'assert-plus';
+import crypto from 'node:crypto';
+import {getAccountRecord} from './tokenStorage.js';
+import {logger} from './logger.js';
+
+const {config, util: {BedrockError}} = bedrock;
+
+// load config defaults
+import './config.js';
+
+const COLLECTION_NAME = 'authn-token-webauthn-challenge';
+
+bedrock.events.on('bedrock-mongodb.ready', async () => {
+  await database.openCollections([COLLECTION_NAME]);
+  await database.createIndexes([{
+    collection: COLLECTION_NAME,
+    fields: {accountId: 1, challenge: 1},
+    options: {unique: true}
+  }, {
+    // pending challenges are automatically removed once they expire
+    collection: COLLECTION_NAME,
+    fields: {expires: 1},
+    options: {unique: false, expireAfterSeconds: 0}
+  }]);
+});
+
+/**
+ * Gets WebAuthn authentication options (to be passed to
+ * `navigator.credentials.get()`) for an account. The returned `challenge`
+ * must be kept by the application (e.g., in its session) and later passed as
+ * `challenge` to `verify()` along with the `credential` produced by the
+ * client. The challenge is stored as pending until it is used by `verify()`
+ * or it expires (see `config['authn-token'].webauthn.authenticationTtl`); it
+ * can only be used once.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} [options.accountId] - The ID of the account.
+ * @param {string} [options.email] - The email of the account.
+ *
+ * @returns {Promise<object>} - Returns a Promise that resolves to the
+ *   authentication options.
+ */
+export async function getWebAuthnAuthenticationOptions({
+  accountId, email
+} = {}) {
+  assert.optionalString(accountId, 'accountId');
+  assert.optionalString(email, 'email');
+  if(!(accountId || email)) {
+    throw new Error('Either "accountId" or "email" is required.');
+  }
+
+  const record = await getAccountRecord({
+    accountId, email, type: 'webauthn', requireToken: true
+  });
+  const tokens = record.tokens.filter(t => !t.pending);
+  if(tokens.length === 0) {
+    throw new BedrockError('Authentication token not found.', {
+      name: 'NotFoundError',
+      details: {
+        httpStatusCode: 404,
+        public: true
+      }
+    });
+  }
+
+  const {rpId, timeout, userVerification, authenticationTtl} = _getConfig();
+  const options = await generateAuthenticationOptions({
+    rpID: rpId,
+    allowCredentials: tokens.map(({credentialId: id, transports}) => ({
+      id, transports
+    })),
+    timeout,
+    userVerification
+  });
+  await database.collections[COLLECTION_NAME].insertOne({
+    accountId: record.account.id,
+    challenge: options.challenge,
+    expires: new Date(Date.now() + authenticationTtl)
+  });
+  return options;
+}
+
+// removes a pending authentication challenge; returns `true` if it was issued
+// for the account by `getWebAuthnAuthenticationOptions()`, has not expired,
+// and was not already used
+export async function consumeAuthenticationChallenge({accountId, challenge}) {
+  const {deletedCount} = await database.collections[COLLECTION_NAME]
+    .deleteOne({accountId, challenge, expires: {$gt: new Date()}});
+  return deletedCount === 1;
+}
+
+export async function createRegistrationOptions({account, tokens}) {
+  const {rpId, rpName, timeout, userVerification} = _getConfig();
+  return generateRegistrationOptions({
+    rpName,
+    rpID: rpId,
+    userName: account.email || account.id,
+    // use a stable, opaque user handle so an authenticator replaces rather
+    // than duplicates a credential when the same account registers again
+    userID: crypto.createHash('sha256').update(account.id).digest(),
+    timeout,
+    attestationType: 'none',
+    excludeCredentials: tokens
+      .filter(t => !t.pending)
+      .map(({credentialId: id, transports}) => ({id, transports})),
+    authenticatorSelection: {
+      residentKey: 'preferred',
+      userVerification
+    }
+  });
+}
+
+export async function verifyRegistration({credential, pendingTokens}) {
+  const {rpId, origins, userVerification} = _getConfig();
+
+  // find the pending token that issued the challenge signed by the client
+  let pendingToken;
+  let result;
+  try {
+    result = await verifyRegistrationResponse({
+      response: credential,
+      expectedChallenge: challenge => {
+        pendingToken = pendingTokens.find(t => t.challenge === challenge);
+        return !!pendingToken;
+      },
+      expectedOrigin: origins,
+      expectedRPID: rpId,
+      requireUserVerification: userVerification === 'required'
+    });
+  } catch(e) {
+    throw new BedrockError(
+      'WebAuthn credential registration could not be verified.', {
+        name: 'DataError',
+        details: {
+          httpStatusCode: 400,
+          public: true
+        },
+        cause: e
+      });
+  }
+  if(!result.verified) {
+    throw new BedrockError(
+      'WebAuthn credential registration could not be verified.', {
+        name: 'DataError',
+        details: {
+          httpStatusCode: 400,
+          public: true
+        }
+      });
+  }
+
+  const {
+    credential: {id: credentialId, publicKey, counter, transports},
+    credentialDeviceType, credentialBackedUp
+  } = result.registrationInfo;
+  return {
+    pendingToken,
+    credential: {
+      credentialId,
+      publicKey: Buffer.from(publicKey).toString('base64url'),
+      counter,
+      transports,
+      deviceType: credentialDeviceType,
+      backedUp: credentialBackedUp
+    }
+  };
+}
+
+export async function verifyAssertion({credential, challenge, token}) {
+  const {rpId, origins, userVerification} = _getConfig();
+  try {
+    const {verified, authenticationInfo} = await verifyAuthenticationResponse({
+      response: credential,
+      expectedChallenge: challenge,
+      expectedOrigin: origins,
+      expectedRPID: rpId,
+      credential: {
+        id: token.credentialId,
+        publicKey: new Uint8Array(Buffer.from(token.publicKey, 'base64url')),
+        counter: token.counter,
+        transports: token.transports
+      },
+      requireUserVerification: userVerification === 'required'
+    });
+    return {verified, newCounter: authenticationInfo.newCounter};
+  } catch(error) {
+    // includes a sign counter that did not increase, which may indicate a
+    // cloned authenticator
+    logger.debug('WebAuthn assertion verification failed.', {error});
+    return {verified: false};
+  }
+}
+
+function _getConfig() {
+  const cfg = config['authn-token'].webauthn;
+  if(!(cfg.rpId && cfg.rpName && cfg.origins.length > 0)) {
+    throw new BedrockError(
+      'WebAuthn is not configured; "rpId", "rpName", and "origins" must be ' +
+      'set.', {
+        name: 'NotSupportedError',
+        details: {
+          httpStatusCode: 500,
+          public: true
+        }
+      });
+  }
+  return cfg;
+}
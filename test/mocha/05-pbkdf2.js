@@ -1,5 +1,5 @@
 /*!
- * Copyright (c) 2018-2022 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2018-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as brAuthnToken from '@bedrock/authn-token';
 
@@ -83,4 +83,42 @@ describe('pbkdf2 API', () => {
     const phc3 = brAuthnToken._pbkdf2.deserializePhc({hash: hash2});
     phc2.should.eql(phc3);
   });
+  it('should roundtrip an argon2id phc string', async () => {
+    const hash = '$argon2id$v=19$m=19456,t=2,p=1$c29tZXNhbHQ$' +
+      'RdescudvJCsgt3ub+b+dWRWJTmaaJObG';
+    const phc = brAuthnToken._pbkdf2.deserializePhc({hash});
+    phc.should.eql({
+      id: 'argon2id',
+      version: 19,
+      params: {m: 19456, t: 2, p: 1},
+      salt: 'c29tZXNhbHQ',
+      hash: 'RdescudvJCsgt3ub+b+dWRWJTmaaJObG'
+    });
+    brAuthnToken._pbkdf2.serializePhc({phc}).should.equal(hash);
+  });
+  it('should roundtrip a scrypt phc string', async () => {
+    const hash = '$scrypt$ln=17,r=8,p=1$c29tZXNhbHQ$' +
+      'RdescudvJCsgt3ub+b+dWRWJTmaaJObG';
+    const phc = brAuthnToken._pbkdf2.deserializePhc({hash});
+    phc.should.eql({
+      id: 'scrypt',
+      params: {ln: 17, r: 8, p: 1},
+      salt: 'c29tZXNhbHQ',
+      hash: 'RdescudvJCsgt3ub+b+dWRWJTmaaJObG'
+    });
+    brAuthnToken._pbkdf2.serializePhc({phc}).should.equal(hash);
+  });
+  it('should not deserialize a phc string with missing params', async () => {
+    let err;
+    try {
+      brAuthnToken._pbkdf2.deserializePhc({
+        hash: '$argon2id$v=19$m=19456,t=2$c29tZXNhbHQ$' +
+          'RdescudvJCsgt3ub+b+dWRWJTmaaJObG'
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('SyntaxError');
+  });
 });
@@ -1,10 +1,10 @@
 /*!
- * Copyright (c) 2018-2022 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2018-2026 Digital Bazaar, Inc. All rights reserved.
  */
-import * as brAccount from '@bedrock/account';
 import * as brAuthnToken from '@bedrock/authn-token';
 import * as helpers from './helpers.js';
 import * as totp from '@digitalbazaar/totp';
+import {config} from '@bedrock/core';
 import {mockData} from './mock.data.js';
 
 describe('TOTP API', () => {
@@ -56,12 +56,81 @@ describe('TOTP API', () => {
       result.otpAuthUrl.startsWith(`otpauth://totp/${serviceId}:`)
         .should.be.true;
     });
-    it('should not set a secret if one already exists', async () => {
+    it('should set a secret with QR codes', async () => {
       const accountId = mockData.accounts['alpha@example.com'].account.id;
-      await brAuthnToken.set({
-        accountId,
-        type: 'totp'
+      const result = await brAuthnToken.set({
+        accountId, type: 'totp', typeOptions: {qrCodeFormats: ['svg', 'png']}
       });
+      result.qrCode.svg.should.be.a('string');
+      result.qrCode.svg.should.include('<svg');
+      result.qrCode.png.should.be.a('string');
+      result.qrCode.png.startsWith('data:image/png;base64,')
+        .should.equal(true);
+    });
+    it('should not return QR codes unless requested', async () => {
+      const accountId = mockData.accounts['alpha@example.com'].account.id;
+      const result = await brAuthnToken.set({accountId, type: 'totp'});
+      should.not.exist(result.qrCode);
+    });
+    it('should throw error for an unknown QR code format', async () => {
+      const accountId = mockData.accounts['alpha@example.com'].account.id;
+      let err;
+      try {
+        await brAuthnToken.set({
+          accountId, type: 'totp', typeOptions: {qrCodeFormats: ['gif']}
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('TypeError');
+    });
+    it('should set a pending secret', async () => {
+      const accountId = mockData.accounts['alpha@example.com'].account.id;
+      const result = await brAuthnToken.set({accountId, type: 'totp'});
+      result.pending.should.equal(true);
+      result.expires.should.be.a('Date');
+      const [token] = await helpers.getStoredTokens(
+        {accountId, type: 'totp'});
+      token.pending.should.equal(true);
+
+      // pending secret cannot be verified
+      const {token: challenge} = await totp.generateToken(
+        {secret: result.secret});
+      let err;
+      try {
+        await brAuthnToken.verify({accountId, type: 'totp', challenge});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+    it('should replace a pending secret', async () => {
+      const accountId = mockData.accounts['alpha@example.com'].account.id;
+      const first = await brAuthnToken.set({accountId, type: 'totp'});
+      const second = await brAuthnToken.set({accountId, type: 'totp'});
+      second.secret.should.not.equal(first.secret);
+      const tokens = await helpers.getStoredTokens({accountId, type: 'totp'});
+      tokens.length.should.equal(1);
+      tokens[0].id.should.equal(second.id);
+    });
+    it('should set a secret alongside an active one', async () => {
+      const accountId = mockData.accounts['alpha@example.com'].account.id;
+      const first = await _enroll({accountId, name: 'Phone'});
+      const second = await brAuthnToken.set({
+        accountId, type: 'totp', name: 'Hardware token'
+      });
+      second.id.should.not.equal(first.id);
+      const tokens = await helpers.getStoredTokens({accountId, type: 'totp'});
+      tokens.map(({name}) => name).should.eql(['Phone', 'Hardware token']);
+    });
+    it('should not set more than the maximum number of secrets', async () => {
+      const accountId = mockData.accounts['alpha@example.com'].account.id;
+      const {maxTokenCount} = config['authn-token'].totp;
+      for(let i = 0; i < maxTokenCount; ++i) {
+        await _enroll({accountId});
+      }
       let result;
       let err;
       try {
@@ -74,6 +143,7 @@ describe('TOTP API', () => {
       }
       should.not.exist(result);
       should.exist(err);
+      err.name.should.equal('NotAllowedError');
     });
     it('should throw error if `accountId` is not non-nonce type',
       async () => {
@@ -93,8 +163,83 @@ describe('TOTP API', () => {
       });
   }); // end set
 
+  describe('confirm', () => {
+    let accountId;
+    beforeEach(async () => {
+      await helpers.prepareDatabase(mockData);
+      accountId = mockData.accounts['alpha@example.com'].account.id;
+    });
+    it('should activate a pending secret', async () => {
+      const {secret} = await brAuthnToken.set({accountId, type: 'totp'});
+      const {token: code} = await totp.generateToken(
+        {secret, now: Date.now() - 30 * 1000});
+      const result = await brAuthnToken.confirm({
+        accountId, type: 'totp', challenge: code
+      });
+      result.should.equal(true);
+      const [token] = await helpers.getStoredTokens(
+        {accountId, type: 'totp'});
+      should.not.exist(token.pending);
+      should.not.exist(token.expires);
+
+      // confirmation code cannot be reused, but a new code verifies
+      (await brAuthnToken.verify({
+        accountId, type: 'totp', challenge: code
+      })).should.equal(false);
+      const {token: challenge} = await totp.generateToken({secret});
+      (await brAuthnToken.verify({accountId, type: 'totp', challenge}))
+        .id.should.equal(accountId);
+    });
+    it('should not activate with an invalid code', async () => {
+      await brAuthnToken.set({accountId, type: 'totp'});
+      const result = await brAuthnToken.confirm({
+        accountId, type: 'totp', challenge: '000000'
+      });
+      result.should.equal(false);
+      const [token] = await helpers.getStoredTokens(
+        {accountId, type: 'totp'});
+      token.pending.should.equal(true);
+    });
+    it('should not confirm an expired enrollment', async () => {
+      const {enrollmentTtl} = config['authn-token'].totp;
+      config['authn-token'].totp.enrollmentTtl = -1;
+      let secret;
+      try {
+        ({secret} = await brAuthnToken.set({accountId, type: 'totp'}));
+      } finally {
+        config['authn-token'].totp.enrollmentTtl = enrollmentTtl;
+      }
+      const {token: challenge} = await totp.generateToken({secret});
+      let err;
+      try {
+        await brAuthnToken.confirm({accountId, type: 'totp', challenge});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+
+      // re-enrollment is allowed
+      const result = await brAuthnToken.set({accountId, type: 'totp'});
+      result.pending.should.equal(true);
+    });
+    it('should not confirm an active secret', async () => {
+      const {secret} = await _enroll({accountId});
+      const {token: challenge} = await totp.generateToken({secret});
+      let err;
+      try {
+        await brAuthnToken.confirm({accountId, type: 'totp', challenge});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+  }); // end confirm
+
   describe('verify', () => {
     const mockAccountEmail = 'alpha@example.com';
+    let id;
     let secret;
     let accountId;
     before(async () => {
@@ -103,10 +248,7 @@ describe('TOTP API', () => {
     // set an OTOP secret
     before(async () => {
       accountId = mockData.accounts[mockAccountEmail].account.id;
-      ({secret} = await brAuthnToken.set({
-        accountId,
-        type: 'totp',
-      }));
+      ({id, secret} = await _enroll({accountId}));
     });
     it('should verify a valid token', async () => {
       const {token: challenge} = await totp.generateToken({secret});
@@ -126,7 +268,7 @@ describe('TOTP API', () => {
       result.should.eql({
         id: accountId,
         email: mockAccountEmail,
-        token: {type: 'totp', authenticationMethod: 'totp'}
+        token: {type: 'totp', authenticationMethod: 'totp', id, name: null}
       });
     });
     it('should not verify an invalid token', async () => {
@@ -160,10 +302,7 @@ describe('TOTP API', () => {
     // set an OTOP secret
     before(async () => {
       accountId = mockData.accounts[mockAccountEmail].account.id;
-      ({secret} = await brAuthnToken.set({
-        accountId,
-        type: 'totp',
-      }));
+      ({secret} = await _enroll({accountId}));
     });
     it('should delete a secret', async () => {
       let {token: challenge} = await totp.generateToken({secret});
@@ -180,11 +319,7 @@ describe('TOTP API', () => {
       }
       assertNoError(err);
       should.exist(result);
-      result.should.eql({
-        id: accountId,
-        email: mockAccountEmail,
-        token: {type: 'totp', authenticationMethod: 'totp'}
-      });
+      result.id.should.equal(accountId);
 
       err = null;
       result = null;
@@ -217,6 +352,112 @@ describe('TOTP API', () => {
   }); // end delete
 }); // end totp api
 
+describe('Multiple TOTP authenticators', () => {
+  let accountId;
+  let phone;
+  let hardware;
+  beforeEach(async () => {
+    await helpers.prepareDatabase(mockData);
+    accountId = mockData.accounts['alpha@example.com'].account.id;
+    phone = await _enroll({accountId, name: 'Phone'});
+    hardware = await _enroll({accountId, name: 'Hardware token'});
+  });
+  it('should verify a code from any authenticator', async () => {
+    let {token: challenge} = await totp.generateToken(
+      {secret: hardware.secret});
+    let result = await brAuthnToken.verify({
+      accountId, type: 'totp', challenge
+    });
+    result.token.id.should.equal(hardware.id);
+    result.token.name.should.equal('Hardware token');
+
+    ({token: challenge} = await totp.generateToken({secret: phone.secret}));
+    result = await brAuthnToken.verify({accountId, type: 'totp', challenge});
+    result.token.id.should.equal(phone.id);
+    result.token.name.should.equal('Phone');
+  });
+  it('should remove an authenticator by id', async () => {
+    await brAuthnToken.remove({accountId, type: 'totp', id: phone.id});
+    let {token: challenge} = await totp.generateToken({secret: phone.secret});
+    let result = await brAuthnToken.verify({
+      accountId, type: 'totp', challenge
+    });
+    result.should.equal(false);
+
+    ({token: challenge} = await totp.generateToken(
+      {secret: hardware.secret}));
+    result = await brAuthnToken.verify({accountId, type: 'totp', challenge});
+    result.token.id.should.equal(hardware.id);
+  });
+  it('should confirm a pending authenticator by id', async () => {
+    const {id, secret} = await brAuthnToken.set({accountId, type: 'totp'});
+    const {token: challenge} = await totp.generateToken({secret});
+    const result = await brAuthnToken.confirm({
+      accountId, type: 'totp', id, challenge
+    });
+    result.should.equal(true);
+    const tokens = await helpers.getStoredTokens({accountId, type: 'totp'});
+    tokens.length.should.equal(3);
+    tokens.some(t => t.pending).should.equal(false);
+  });
+});
+
+describe('TOTP replay protection', () => {
+  let accountId;
+  let secret;
+  let window;
+  beforeEach(async () => {
+    ({window} = config['authn-token'].totp);
+    await helpers.prepareDatabase(mockData);
+    accountId = mockData.accounts['alpha@example.com'].account.id;
+    ({secret} = await _enroll({accountId}));
+  });
+  afterEach(async () => {
+    config['authn-token'].totp.window = window;
+  });
+  it('should not verify the same code twice', async () => {
+    const {token: challenge} = await totp.generateToken({secret});
+    let result = await brAuthnToken.verify({
+      accountId, type: 'totp', challenge
+    });
+    result.id.should.equal(accountId);
+    const [token] = await helpers.getStoredTokens({accountId, type: 'totp'});
+    token.lastUsedStep.should.be.a('number');
+
+    result = await brAuthnToken.verify({accountId, type: 'totp', challenge});
+    result.should.equal(false);
+  });
+  it('should not verify a code earlier than a used code', async () => {
+    const now = Date.now();
+    const {token: next} = await totp.generateToken(
+      {secret, now: now + 30 * 1000});
+    const {token: current} = await totp.generateToken({secret, now});
+    let result = await brAuthnToken.verify({
+      accountId, type: 'totp', challenge: next
+    });
+    result.id.should.equal(accountId);
+    result = await brAuthnToken.verify({
+      accountId, type: 'totp', challenge: current
+    });
+    result.should.equal(false);
+  });
+  it('should use the configured window', async () => {
+    config['authn-token'].totp.window = 0;
+    let {token: challenge} = await totp.generateToken(
+      {secret, now: Date.now() + 60 * 1000});
+    let result = await brAuthnToken.verify({
+      accountId, type: 'totp', challenge
+    });
+    result.should.equal(false);
+
+    config['authn-token'].totp.window = 2;
+    ({token: challenge} = await totp.generateToken(
+      {secret, now: Date.now() + 60 * 1000}));
+    result = await brAuthnToken.verify({accountId, type: 'totp', challenge});
+    result.id.should.equal(accountId);
+  });
+});
+
 describe('TOTP storage', () => {
   let accountId;
   // NOTE: the accounts collection is getting erased before each test
@@ -231,18 +472,20 @@ describe('TOTP storage', () => {
       type: 'totp'
     });
   });
-  it('setToken() for set() using id', async () => {
+  it('pushToken() for set() using id', async () => {
     const accountId3 = mockData.accounts['gamma@example.com'].account.id;
-    const result = await brAuthnToken._tokenStorage.setToken({
+    const result = await brAuthnToken._tokenStorage.pushToken({
       accountId: accountId3,
       type: 'totp',
-      token: {id: '1'}
+      token: {id: '1'},
+      maxCount: 5
     });
     should.exist(result);
     result.should.equal(true);
-    const record2 = await brAccount.get({id: accountId3});
-    should.exist(record2.meta['bedrock-authn-token']?.tokens?.totp?.id);
-    record2.meta['bedrock-authn-token']?.totp?.id.should.equal('1');
+    const tokens = await helpers.getStoredTokens(
+      {accountId: accountId3, type: 'totp'});
+    tokens.length.should.equal(1);
+    tokens[0].id.should.equal('1');
   });
   it('removeToken() for remove()', async () => {
     const result = await brAuthnToken._tokenStorage.removeToken({
@@ -251,7 +494,84 @@ describe('TOTP storage', () => {
     });
     should.exist(result);
     result.should.equal(true);
-    const record2 = await brAccount.get({id: accountId});
-    should.not.exist(record2.meta['bedrock-authn-token']?.tokens?.totp);
+    const tokens = await helpers.getStoredTokens({accountId, type: 'totp'});
+    tokens.should.eql([]);
   });
 });
+
+describe('TOTP secret encryption', () => {
+  let accountId;
+  let secret;
+  let encryptionConfig;
+  beforeEach(async () => {
+    encryptionConfig = structuredClone(config['authn-token'].totp.encryption);
+    await helpers.prepareDatabase(mockData);
+    accountId = mockData.accounts['alpha@example.com'].account.id;
+    ({secret} = await _enroll({accountId}));
+  });
+  afterEach(async () => {
+    config['authn-token'].totp.encryption = encryptionConfig;
+  });
+  it('should not store a plaintext secret', async () => {
+    const [token] = await helpers.getStoredTokens({accountId, type: 'totp'});
+    should.not.exist(token.secret);
+    should.not.exist(token.otpAuthUrl);
+    token.encrypted.kid.should.equal('test-key-1');
+    token.encrypted.iv.should.be.a('string');
+    token.encrypted.ciphertext.should.be.a('string');
+  });
+  it('should get a decrypted secret', async () => {
+    const token = await brAuthnToken.get({accountId, type: 'totp'});
+    token.secret.should.equal(secret);
+    token.otpAuthUrl.should.be.a('string');
+    should.not.exist(token.encrypted);
+  });
+  it('should verify after rewrapping secrets under a new key', async () => {
+    const {encryption} = config['authn-token'].totp;
+    encryption.keys.push({
+      id: 'test-key-2', secret: 'cAkOQRB5UKpXRGCmW8Vmbpg2jwjI3v7_lokNdJW8Fns'
+    });
+    encryption.currentKeyId = 'test-key-2';
+
+    // secret encrypted under the old key still verifies
+    let {token: challenge} = await totp.generateToken({secret});
+    let result = await brAuthnToken.verify({
+      accountId, type: 'totp', challenge
+    });
+    result.id.should.equal(accountId);
+
+    const count = await brAuthnToken.rewrapTotpSecrets();
+    count.should.equal(1);
+    const [token] = await helpers.getStoredTokens({accountId, type: 'totp'});
+    token.encrypted.kid.should.equal('test-key-2');
+
+    // old key no longer needed; use the next code since codes are single-use
+    encryption.keys.shift();
+    ({token: challenge} = await totp.generateToken(
+      {secret, now: Date.now() + 30 * 1000}));
+    result = await brAuthnToken.verify({accountId, type: 'totp', challenge});
+    result.id.should.equal(accountId);
+    (await brAuthnToken.rewrapTotpSecrets()).should.equal(0);
+  });
+  it('should fail to verify if the key is not configured', async () => {
+    config['authn-token'].totp.encryption.keys = [];
+    const {token: challenge} = await totp.generateToken({secret});
+    let err;
+    try {
+      await brAuthnToken.verify({accountId, type: 'totp', challenge});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+  });
+});
+
+// sets a secret and confirms it with the code for the previous time step so
+// that the code for the current time step can still be verified
+async function _enroll({accountId, name}) {
+  const result = await brAuthnToken.set({accountId, type: 'totp', name});
+  const {token: challenge} = await totp.generateToken(
+    {secret: result.secret, now: Date.now() - 30 * 1000});
+  await brAuthnToken.confirm({accountId, type: 'totp', challenge});
+  return result;
+}
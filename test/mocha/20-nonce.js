@@ -4,8 +4,8 @@
 import * as bedrock from '@bedrock/core';
 import * as brAccount from '@bedrock/account';
 import * as brAuthnToken from '@bedrock/authn-token';
+import {getStoredTokens, prepareDatabase} from './helpers.js';
 import {mockData} from './mock.data.js';
-import {prepareDatabase} from './helpers.js';
 import sinon from 'sinon';
 
 describe('Nonce API', () => {
@@ -549,6 +549,40 @@ describe('Nonce API', () => {
       should.exist(verifyResult);
       verifyResult.should.equal(false);
     });
+    it('should invalidate a nonce after too many failed attempts',
+      async () => {
+        const accountId = mockData.accounts['alpha@example.com'].account.id;
+        const {maxFailedAttempts} = bedrock.config['authn-token'].nonce;
+        const nonce = await brAuthnToken.set({accountId, type: 'nonce'});
+        const {hash} = await brAuthnToken._pbkdf2.pbkdf2({
+          secret: nonce.challenge + 'different'
+        });
+
+        const events = [];
+        const listener = event => events.push(event);
+        bedrock.events.on('bedrock-authn-token.notify', listener);
+        try {
+          for(let i = 0; i < maxFailedAttempts; ++i) {
+            const result = await brAuthnToken.verify({
+              accountId, type: 'nonce', hash
+            });
+            result.should.equal(false);
+          }
+        } finally {
+          bedrock.events.removeListener(
+            'bedrock-authn-token.notify', listener);
+        }
+
+        // nonce has been invalidated and the user notified
+        const {allTokens} = await brAuthnToken.getAll({
+          accountId, type: 'nonce'
+        });
+        allTokens.should.eql([]);
+        events.length.should.equal(1);
+        events[0].account.should.equal(accountId);
+        events[0].token.id.should.equal(nonce.id);
+        events[0].notification.should.eql({type: 'guessLimitExceeded'});
+      });
     it('should throw error when verifying nonce that has expired', async () => {
       const accountId = mockData.accounts['alpha@example.com'].account.id;
       // set a nonce with an older date.
@@ -617,6 +651,487 @@ describe('Nonce API', () => {
       err3.message.should.equal('Authentication token has expired.');
     });
   });
+  describe('verify by id', () => {
+    let accountId;
+    beforeEach(async () => {
+      await prepareDatabase(mockData);
+      accountId = mockData.accounts['alpha@example.com'].account.id;
+    });
+    it('should verify only the nonce with the given "id"', async () => {
+      const first = await brAuthnToken.set({accountId, type: 'nonce'});
+      const second = await brAuthnToken.set({accountId, type: 'nonce'});
+      const {tokens} = await brAuthnToken.getAll({accountId, type: 'nonce'});
+      const {hashParameters} = tokens[0];
+      const {hash: wrongHash} = await brAuthnToken._pbkdf2.pbkdf2({
+        secret: 'wrong', phc: hashParameters
+      });
+
+      // a wrong challenge only counts against the identified nonce
+      let result = await brAuthnToken.verify({
+        accountId, type: 'nonce', id: first.id, hash: wrongHash
+      });
+      result.should.equal(false);
+      let {tokens: updated} = await brAuthnToken.getAll(
+        {accountId, type: 'nonce'});
+      updated.find(t => t.id === first.id).failedAttempts.should.equal(1);
+      should.not.exist(updated.find(t => t.id === second.id).failedAttempts);
+
+      // the challenge for another nonce does not verify the identified nonce
+      const {hash: secondHash} = await brAuthnToken._pbkdf2.pbkdf2({
+        secret: second.challenge, phc: hashParameters
+      });
+      result = await brAuthnToken.verify({
+        accountId, type: 'nonce', id: first.id, hash: secondHash
+      });
+      result.should.equal(false);
+      ({tokens: updated} = await brAuthnToken.getAll(
+        {accountId, type: 'nonce'}));
+      updated.find(t => t.id === first.id).failedAttempts.should.equal(2);
+
+      const {hash} = await brAuthnToken._pbkdf2.pbkdf2({
+        secret: first.challenge, phc: hashParameters
+      });
+      result = await brAuthnToken.verify({
+        accountId, type: 'nonce', id: first.id, hash
+      });
+      result.id.should.equal(accountId);
+    });
+    it('should throw "NotFoundError" if the nonce was used', async () => {
+      const {id, challenge} = await brAuthnToken.set({
+        accountId, type: 'nonce', typeOptions: {entryStyle: 'machine'}
+      });
+      const result = await brAuthnToken.verify({
+        accountId, type: 'nonce', id, challenge
+      });
+      result.id.should.equal(accountId);
+
+      let err;
+      try {
+        await brAuthnToken.verify({accountId, type: 'nonce', id, challenge});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+      err.message.should.equal('Authentication token not found.');
+    });
+    it('should throw "NotFoundError" if the nonce expired', async () => {
+      const yesterday = new Date();
+      yesterday.setDate(yesterday.getDate() - 1);
+      const clock = sinon.useFakeTimers(yesterday.getTime());
+      let nonce;
+      try {
+        nonce = await brAuthnToken.set({
+          accountId, type: 'nonce', typeOptions: {entryStyle: 'machine'}
+        });
+      } finally {
+        clock.restore();
+      }
+
+      let err;
+      try {
+        await brAuthnToken.verify({
+          accountId, type: 'nonce', id: nonce.id, challenge: 'wrong'
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+      err.message.should.equal('Authentication token has expired.');
+    });
+  });
+  describe('ttl and profiles', () => {
+    let accountId;
+    beforeEach(async () => {
+      await prepareDatabase(mockData);
+      accountId = mockData.accounts['alpha@example.com'].account.id;
+    });
+    it('should set a nonce with a "ttl"', async () => {
+      const ttl = 60 * 60 * 1000;
+      const before = Date.now();
+      await brAuthnToken.set({accountId, type: 'nonce', typeOptions: {ttl}});
+      const {tokens} = await brAuthnToken.getAll({accountId, type: 'nonce'});
+      tokens[0].expires.getTime().should.be.within(
+        before + ttl, Date.now() + ttl);
+    });
+    it('should throw error if "ttl" is out of bounds', async () => {
+      const {minTtl, maxTtl} = bedrock.config['authn-token'].nonce;
+      for(const ttl of [minTtl - 1, maxTtl + 1]) {
+        let err;
+        try {
+          await brAuthnToken.set({
+            accountId, type: 'nonce', typeOptions: {ttl}
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('ConstraintError');
+      }
+    });
+    it('should set a nonce using a profile', async () => {
+      const before = Date.now();
+      const {challenge} = await brAuthnToken.set({
+        accountId, type: 'nonce', typeOptions: {profile: 'login'}
+      });
+      challenge.should.match(/^[0-9]{8}$/);
+      const {tokens} = await brAuthnToken.getAll({accountId, type: 'nonce'});
+      should.exist(tokens[0].hashParameters);
+      const ttl = 5 * 60 * 1000;
+      tokens[0].expires.getTime().should.be.within(
+        before + ttl, Date.now() + ttl);
+    });
+    it('should apply a profile "maxNonceCount" and "entryStyle"', async () => {
+      const typeOptions = {profile: 'emailVerification'};
+      for(let i = 0; i < 2; ++i) {
+        const {challenge} = await brAuthnToken.set(
+          {accountId, type: 'nonce', typeOptions});
+        challenge.length.should.equal(23);
+      }
+      let err;
+      try {
+        await brAuthnToken.set({accountId, type: 'nonce', typeOptions});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+      err.message.should.equal(
+        'No more than 2 tokens can be pending at once.');
+    });
+    it('should throw error for an unknown profile', async () => {
+      let err;
+      try {
+        await brAuthnToken.set({
+          accountId, type: 'nonce', typeOptions: {profile: 'unknown'}
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.equal('Unknown nonce profile "unknown".');
+    });
+  });
+  describe('formats', () => {
+    let accountId;
+    beforeEach(async () => {
+      await prepareDatabase(mockData);
+      accountId = mockData.accounts['alpha@example.com'].account.id;
+    });
+    it('should set and verify a grouped alphanumeric nonce', async () => {
+      const {challenge} = await brAuthnToken.set({
+        accountId, type: 'nonce',
+        typeOptions: {format: 'alphanumeric', length: 8, groupSize: 4}
+      });
+      challenge.should.match(/^[2-9A-HJKMNP-Z]{4}-[2-9A-HJKMNP-Z]{4}$/);
+
+      // separators and case are ignored
+      const entered = challenge.replace('-', ' ').toLowerCase();
+      const result = await brAuthnToken.verify({
+        accountId, type: 'nonce', challenge: entered
+      });
+      result.id.should.equal(accountId);
+    });
+    it('should verify a grouped nonce hashed without separators',
+      async () => {
+        const {challenge} = await brAuthnToken.set({
+          accountId, type: 'nonce', typeOptions: {groupSize: 3}
+        });
+        challenge.should.match(/^[0-9]{3}-[0-9]{3}$/);
+        const {tokens} = await brAuthnToken.getAll(
+          {accountId, type: 'nonce'});
+        const {hash} = await brAuthnToken._pbkdf2.pbkdf2({
+          secret: challenge.replace('-', ''),
+          phc: tokens[0].hashParameters
+        });
+        const result = await brAuthnToken.verify(
+          {accountId, type: 'nonce', hash});
+        result.id.should.equal(accountId);
+      });
+    it('should return false for a wrong human-entry challenge', async () => {
+      const {challenge} = await brAuthnToken.set({accountId, type: 'nonce'});
+      const wrong = challenge === '999999' ? '000001' : '999999';
+      const result = await brAuthnToken.verify(
+        {accountId, type: 'nonce', challenge: wrong});
+      result.should.equal(false);
+    });
+    it('should throw error for an invalid "format"', async () => {
+      let err;
+      try {
+        await brAuthnToken.set({
+          accountId, type: 'nonce', typeOptions: {format: 'emoji'}
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.message.should.contain('Invalid "format" "emoji"');
+    });
+  });
+  describe('stateless', () => {
+    const typeOptions = {stateless: true};
+    let accountId;
+    beforeEach(async () => {
+      await prepareDatabase(mockData);
+      accountId = mockData.accounts['alpha@example.com'].account.id;
+    });
+    it('should set and verify a stateless nonce', async () => {
+      const {challenge} = await brAuthnToken.set(
+        {accountId, type: 'nonce', typeOptions});
+      challenge.should.be.a('string');
+      const tokens = await getStoredTokens({accountId, type: 'nonce'});
+      tokens.length.should.equal(0);
+
+      const result = await brAuthnToken.verify(
+        {accountId, type: 'nonce', challenge});
+      result.should.eql({
+        id: accountId,
+        email: null,
+        token: {type: 'nonce', authenticationMethod: 'nonce'}
+      });
+    });
+    it('should verify a stateless nonce by email', async () => {
+      const email = 'alpha@example.com';
+      const {challenge} = await brAuthnToken.set(
+        {email, type: 'nonce', typeOptions});
+      const result = await brAuthnToken.verify(
+        {email, type: 'nonce', challenge});
+      result.id.should.equal(accountId);
+      result.email.should.equal(email);
+    });
+    it('should only verify a stateless nonce once', async () => {
+      const {challenge} = await brAuthnToken.set(
+        {accountId, type: 'nonce', typeOptions});
+      const result = await brAuthnToken.verify(
+        {accountId, type: 'nonce', challenge});
+      result.id.should.equal(accountId);
+
+      let err;
+      try {
+        await brAuthnToken.verify({accountId, type: 'nonce', challenge});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+      err.message.should.equal('Authentication token not found.');
+    });
+    it('should not verify a stateless nonce that does not match',
+      async () => {
+        const {challenge} = await brAuthnToken.set({
+          accountId, type: 'nonce', purpose: 'login', typeOptions
+        });
+        const otherAccountId =
+          mockData.accounts['beta@example.com'].account.id;
+        const [payload, signature] = challenge.split('.');
+        const tampered = `${payload}.` +
+          (signature[0] === 'A' ? 'B' : 'A') + signature.slice(1);
+        const attempts = [
+          {accountId, challenge},
+          {accountId, challenge, purpose: 'emailVerification'},
+          {accountId: otherAccountId, challenge, purpose: 'login'},
+          {accountId, challenge: tampered, purpose: 'login'},
+          {accountId, challenge, purpose: 'login', clientId: 'client'}
+        ];
+        for(const attempt of attempts) {
+          const result = await brAuthnToken.verify(
+            {type: 'nonce', ...attempt});
+          result.should.equal(false);
+        }
+        const result = await brAuthnToken.verify(
+          {accountId, type: 'nonce', challenge, purpose: 'login'});
+        result.id.should.equal(accountId);
+      });
+    it('should not rate limit stateless nonces by default', async () => {
+      const {windows} = bedrock.config['authn-token'].nonce.rateLimit;
+      const max = Math.min(...windows.map(({max}) => max));
+      for(let i = 0; i <= max; ++i) {
+        await brAuthnToken.set({accountId, type: 'nonce', typeOptions});
+      }
+    });
+    it('should not use up a stateless nonce that fails a check', async () => {
+      const {id, challenge} = await brAuthnToken.set({
+        accountId, type: 'nonce', typeOptions,
+        requiredAuthenticationMethods: ['password']
+      });
+
+      // a mismatched `id`
+      const result = await brAuthnToken.verify(
+        {accountId, type: 'nonce', id: 'other', challenge});
+      result.should.equal(false);
+
+      // required authentication methods not yet used
+      let err;
+      try {
+        await brAuthnToken.verify({accountId, type: 'nonce', challenge});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+
+      const verified = await brAuthnToken.verify({
+        accountId, type: 'nonce', id, challenge,
+        authenticatedMethods: ['password']
+      });
+      verified.id.should.equal(accountId);
+    });
+    it('should remember used stateless nonces until they expire',
+      async () => {
+        const cfg = bedrock.config['authn-token'].nonce.stateless;
+        const {maxUsedCacheSize} = cfg;
+        cfg.maxUsedCacheSize = 2;
+        // start after any nonces used by other tests have expired
+        const clock = sinon.useFakeTimers({
+          now: Date.now() + 24 * 60 * 60 * 1000, toFake: ['Date']
+        });
+        try {
+          const verify = async ({ttl}) => {
+            const {challenge} = await brAuthnToken.set(
+              {accountId, type: 'nonce', typeOptions: {...typeOptions, ttl}});
+            return brAuthnToken.verify({accountId, type: 'nonce', challenge});
+          };
+          // a used nonce that expires later than one used after it
+          (await verify({ttl: 60 * 60 * 1000})).id.should.equal(accountId);
+          (await verify({ttl: 60 * 1000})).id.should.equal(accountId);
+
+          // the nonce that has expired is forgotten to make room
+          clock.tick(2 * 60 * 1000);
+          (await verify({ttl: 60 * 60 * 1000})).id.should.equal(accountId);
+
+          // unexpired nonces are never forgotten
+          let err;
+          try {
+            await verify({ttl: 60 * 60 * 1000});
+          } catch(e) {
+            err = e;
+          }
+          should.exist(err);
+          err.name.should.equal('OperationError');
+        } finally {
+          clock.restore();
+          cfg.maxUsedCacheSize = maxUsedCacheSize;
+        }
+      });
+    it('should throw error when verifying an expired stateless nonce',
+      async () => {
+        const yesterday = new Date();
+        yesterday.setDate(yesterday.getDate() - 1);
+        const clock = sinon.useFakeTimers(yesterday.getTime());
+        let nonce;
+        try {
+          nonce = await brAuthnToken.set(
+            {accountId, type: 'nonce', typeOptions});
+        } finally {
+          clock.restore();
+        }
+
+        let err;
+        try {
+          await brAuthnToken.verify(
+            {accountId, type: 'nonce', challenge: nonce.challenge});
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.name.should.equal('NotFoundError');
+        err.message.should.equal('Authentication token has expired.');
+      });
+  });
+  describe('purpose', () => {
+    const typeOptions = {entryStyle: 'machine'};
+    let accountId;
+    beforeEach(async () => {
+      await prepareDatabase(mockData);
+      accountId = mockData.accounts['alpha@example.com'].account.id;
+    });
+    it('should only verify a nonce for its purpose', async () => {
+      const {challenge} = await brAuthnToken.set({
+        accountId, type: 'nonce', purpose: 'emailVerification', typeOptions
+      });
+      const {tokens} = await brAuthnToken.getAll({accountId, type: 'nonce'});
+      tokens[0].purpose.should.equal('emailVerification');
+
+      // no purpose
+      let err;
+      try {
+        await brAuthnToken.verify({accountId, type: 'nonce', challenge});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+
+      // different purpose
+      await brAuthnToken.set({
+        accountId, type: 'nonce', purpose: 'login', typeOptions
+      });
+      let result = await brAuthnToken.verify({
+        accountId, type: 'nonce', purpose: 'login', challenge
+      });
+      result.should.equal(false);
+
+      // same purpose
+      result = await brAuthnToken.verify({
+        accountId, type: 'nonce', purpose: 'emailVerification', challenge
+      });
+      result.id.should.equal(accountId);
+    });
+    it('should track "maxNonceCount" per purpose', async () => {
+      const {maxNonceCount} = bedrock.config['authn-token'].nonce;
+      for(let i = 0; i < maxNonceCount; ++i) {
+        await brAuthnToken.set({
+          accountId, type: 'nonce', purpose: 'passwordReset'
+        });
+      }
+      let err;
+      try {
+        await brAuthnToken.set({
+          accountId, type: 'nonce', purpose: 'passwordReset'
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+
+      // other purposes are unaffected
+      const nonce = await brAuthnToken.set({accountId, type: 'nonce'});
+      should.exist(nonce);
+      const login = await brAuthnToken.set(
+        {accountId, type: 'nonce', purpose: 'login'});
+      should.exist(login);
+    });
+    it('should leave nonces for other purposes after verify', async () => {
+      const {challenge} = await brAuthnToken.set({
+        accountId, type: 'nonce', purpose: 'login', typeOptions
+      });
+      await brAuthnToken.set({
+        accountId, type: 'nonce', purpose: 'emailVerification', typeOptions
+      });
+      const result = await brAuthnToken.verify({
+        accountId, type: 'nonce', purpose: 'login', challenge
+      });
+      result.id.should.equal(accountId);
+      const {tokens} = await brAuthnToken.getAll({accountId, type: 'nonce'});
+      tokens.map(({purpose}) => purpose).should.eql(['emailVerification']);
+    });
+    it('should throw error if "purpose" is given for another type',
+      async () => {
+        let err;
+        try {
+          await brAuthnToken.set({
+            accountId, type: 'totp', purpose: 'login'
+          });
+        } catch(e) {
+          err = e;
+        }
+        should.exist(err);
+        err.message.should.equal(
+          '"purpose" is only supported for "nonce" tokens.');
+      });
+  });
 });
 describe('Remove expired nonce', () => {
   // NOTE: the accounts collection is getting erased before each test
@@ -828,8 +1343,8 @@ describe('Nonce storage', () => {
     });
     should.exist(result);
     result.should.equal(true);
-    const record2 = await brAccount.get({id: accountId3});
-    should.exist(record2.meta['bedrock-authn-token']?.tokens?.nonce?.[0]);
+    let tokens = await getStoredTokens({accountId: accountId3, type: 'nonce'});
+    tokens.length.should.equal(1);
 
     // push another nonce
     const result2 = await brAuthnToken._tokenStorage.pushToken({
@@ -840,9 +1355,8 @@ describe('Nonce storage', () => {
     });
     should.exist(result2);
     result2.should.equal(true);
-    const record3 = await brAccount.get({id: accountId3});
-    should.exist(record3.meta['bedrock-authn-token']?.tokens?.nonce?.[0]);
-    should.exist(record3.meta['bedrock-authn-token']?.tokens?.nonce?.[1]);
+    tokens = await getStoredTokens({accountId: accountId3, type: 'nonce'});
+    tokens.map(({id}) => id).should.eql(['1', '2']);
   });
   it('pushToken() for set() using email', async () => {
     const accountId3 = mockData.accounts['gamma@example.com'].account.id;
@@ -858,8 +1372,8 @@ describe('Nonce storage', () => {
     });
     should.exist(result);
     result.should.equal(true);
-    const record2 = await brAccount.get({id: accountId3});
-    should.exist(record2.meta['bedrock-authn-token']?.tokens?.nonce?.[0]);
+    let tokens = await getStoredTokens({accountId: accountId3, type: 'nonce'});
+    tokens.length.should.equal(1);
 
     // push another nonce
     const result2 = await brAuthnToken._tokenStorage.pushToken({
@@ -870,9 +1384,8 @@ describe('Nonce storage', () => {
     });
     should.exist(result2);
     result2.should.equal(true);
-    const record3 = await brAccount.get({id: accountId3});
-    should.exist(record3.meta['bedrock-authn-token']?.tokens?.nonce?.[0]);
-    should.exist(record3.meta['bedrock-authn-token']?.tokens?.nonce?.[1]);
+    tokens = await getStoredTokens({accountId: accountId3, type: 'nonce'});
+    tokens.map(({id}) => id).should.eql(['1', '2']);
 
     // remove first nonce
     await brAuthnToken._tokenStorage.removeToken({
@@ -880,10 +1393,8 @@ describe('Nonce storage', () => {
       type: 'nonce',
       id: '1'
     });
-    const record4 = await brAccount.get({id: accountId3});
-    should.exist(record4.meta['bedrock-authn-token']?.tokens?.nonce?.[0]?.id);
-    record4.meta['bedrock-authn-token']
-      ?.tokens?.nonce?.[0]?.id.should.equal('2');
+    tokens = await getStoredTokens({accountId: accountId3, type: 'nonce'});
+    tokens.map(({id}) => id).should.eql(['2']);
   });
   it('removeToken() for remove()', async () => {
     const result = await brAuthnToken._tokenStorage.removeToken({
@@ -893,7 +1404,7 @@ describe('Nonce storage', () => {
     });
     should.exist(result);
     result.should.equal(true);
-    const record2 = await brAccount.get({id: accountId});
-    should.not.exist(record2.meta['bedrock-authn-token']?.tokens?.nonce);
+    const tokens = await getStoredTokens({accountId, type: 'nonce'});
+    tokens.should.eql([]);
   });
 });
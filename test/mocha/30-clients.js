@@ -1,6 +1,7 @@
 /*!
- * Copyright (c) 2018-2022 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2018-2026 Digital Bazaar, Inc. All rights reserved.
  */
+import * as bedrock from '@bedrock/core';
 import * as brAuthnToken from '@bedrock/authn-token';
 import * as helpers from './helpers.js';
 import {mockData} from './mock.data.js';
@@ -77,4 +78,159 @@ describe('clients', () => {
     should.exist(registered);
     registered.should.equal(false);
   });
+  it('should get all clients', async () => {
+    await brAuthnToken.clients.set({
+      accountId,
+      clientId: 'b1d3b4d4-7c1f-4a4b-9a57-0c5e0bbd3a8e',
+      authenticated: true,
+      name: 'Work laptop',
+      userAgent: 'Mozilla/5.0'
+    });
+    const {clients} = await brAuthnToken.clients.getAll({accountId});
+    clients.length.should.equal(2);
+    const client = clients.find(({name}) => name === 'Work laptop');
+    should.exist(client);
+    client.should.have.keys(
+      ['id', 'authenticated', 'name', 'userAgent', 'created', 'expires']);
+    client.userAgent.should.equal('Mozilla/5.0');
+    client.created.should.be.a('Date');
+  });
+  it('should update "lastUsed" when registered', async () => {
+    await brAuthnToken.clients.isRegistered({
+      accountId,
+      clientId: '670753bd-2cf3-4878-8de4-4aa5e28989be'
+    });
+    const {clients: [client]} = await brAuthnToken.clients.getAll(
+      {accountId});
+    client.lastUsed.should.be.a('Date');
+  });
+  it('should remove a client', async () => {
+    const {clients: [{id}]} = await brAuthnToken.clients.getAll({accountId});
+    await brAuthnToken.clients.remove({accountId, id});
+    const {registered} = await brAuthnToken.clients.isRegistered({
+      accountId,
+      clientId: '670753bd-2cf3-4878-8de4-4aa5e28989be'
+    });
+    registered.should.equal(false);
+  });
+  it('should throw error when removing an unknown client', async () => {
+    let err;
+    try {
+      await brAuthnToken.clients.remove({accountId, id: 'unknown'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotFoundError');
+  });
+  it('should remove all clients', async () => {
+    let result = await brAuthnToken.clients.removeAll({accountId});
+    result.should.equal(true);
+    const {clients} = await brAuthnToken.clients.getAll({accountId});
+    clients.should.eql([]);
+    result = await brAuthnToken.clients.removeAll({accountId});
+    result.should.equal(false);
+  });
+  it('should expire an unused client', async () => {
+    const cfg = bedrock.config['authn-token'].clients;
+    const {ttl} = cfg;
+    cfg.ttl = 1;
+    try {
+      await brAuthnToken.clients.set({
+        accountId,
+        clientId: 'c8f1a2e3-5d4b-4c6a-8e7f-9a0b1c2d3e4f',
+        authenticated: true
+      });
+    } finally {
+      cfg.ttl = ttl;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const events = [];
+    const listener = event => events.push(event);
+    bedrock.events.on('bedrock-authn-token.client.expired', listener);
+    let registered;
+    try {
+      ({registered} = await brAuthnToken.clients.isRegistered({
+        accountId,
+        clientId: 'c8f1a2e3-5d4b-4c6a-8e7f-9a0b1c2d3e4f'
+      }));
+    } finally {
+      bedrock.events.removeListener(
+        'bedrock-authn-token.client.expired', listener);
+    }
+    registered.should.equal(false);
+    events.length.should.equal(1);
+    events[0].account.should.equal(accountId);
+    events[0].reason.should.equal('expired');
+    const {clients} = await brAuthnToken.clients.getAll({accountId});
+    clients.length.should.equal(1);
+    const {records} = await brAuthnToken.getAuditLog(
+      {accountId, types: ['client.remove']});
+    records.map(({outcome, reason}) => ({outcome, reason})).should.eql([
+      {outcome: 'success', reason: 'expired'}
+    ]);
+  });
+  it('should not get an expired client', async () => {
+    const {clients: before} = await brAuthnToken.clients.getAll({accountId});
+    const cfg = bedrock.config['authn-token'].clients;
+    const {ttl} = cfg;
+    cfg.ttl = 1;
+    try {
+      await brAuthnToken.clients.set({
+        accountId,
+        clientId: 'c8f1a2e3-5d4b-4c6a-8e7f-9a0b1c2d3e4f',
+        authenticated: true
+      });
+    } finally {
+      cfg.ttl = ttl;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const {clients} = await brAuthnToken.clients.getAll({accountId});
+    clients.map(({id}) => id).should.eql(before.map(({id}) => id));
+  });
+  it('should evict the least recently used client', async () => {
+    const cfg = bedrock.config['authn-token'].clients;
+    const {maxCount} = cfg;
+    cfg.maxCount = 2;
+    const events = [];
+    const listener = event => events.push(event);
+    bedrock.events.on('bedrock-authn-token.client.expired', listener);
+    try {
+      await brAuthnToken.clients.set({
+        accountId,
+        clientId: 'c8f1a2e3-5d4b-4c6a-8e7f-9a0b1c2d3e4f',
+        authenticated: true
+      });
+      // use the first client so the second one is least recently used
+      await brAuthnToken.clients.isRegistered({
+        accountId,
+        clientId: '670753bd-2cf3-4878-8de4-4aa5e28989be'
+      });
+      await brAuthnToken.clients.set({
+        accountId,
+        clientId: '0d7e1b6a-3f2c-4e5d-8a9b-1c2d3e4f5a6b',
+        authenticated: true
+      });
+    } finally {
+      cfg.maxCount = maxCount;
+      bedrock.events.removeListener(
+        'bedrock-authn-token.client.expired', listener);
+    }
+    events.length.should.equal(1);
+    events[0].reason.should.equal('evicted');
+    const {records} = await brAuthnToken.getAuditLog(
+      {accountId, types: ['client.remove']});
+    records.map(({outcome, reason}) => ({outcome, reason})).should.eql([
+      {outcome: 'success', reason: 'evicted'}
+    ]);
+    const {registered} = await brAuthnToken.clients.isRegistered({
+      accountId,
+      clientId: 'c8f1a2e3-5d4b-4c6a-8e7f-9a0b1c2d3e4f'
+    });
+    registered.should.equal(false);
+    const {clients} = await brAuthnToken.clients.getAll({accountId});
+    clients.length.should.equal(2);
+  });
 });
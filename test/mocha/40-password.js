@@ -1,9 +1,12 @@
 /*!
- * Copyright (c) 2018-2022 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2018-2026 Digital Bazaar, Inc. All rights reserved.
  */
+import * as bedrock from '@bedrock/core';
 import * as brAuthnToken from '@bedrock/authn-token';
+import {
+  getFailedAttempts, getStoredTokens, prepareDatabase
+} from './helpers.js';
 import {mockData} from './mock.data.js';
-import {prepareDatabase} from './helpers.js';
 
 describe('Password API', () => {
   describe('set', () => {
@@ -30,6 +33,51 @@ describe('Password API', () => {
       should.exist(result);
       result.type.should.equal('password');
     });
+    it('should set an argon2id password', async () => {
+      const accountId = mockData.accounts['alpha@example.com'].account.id;
+      const hash = '$argon2id$v=19$m=19456,t=2,p=1$c29tZXNhbHQ$' +
+        'RdescudvJCsgt3ub+b+dWRWJTmaaJObG';
+      let result;
+      let err;
+      try {
+        result = await brAuthnToken.set({
+          accountId,
+          type: 'password',
+          hash
+        });
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      const token = await brAuthnToken.get({accountId, type: 'password'});
+      token.hashParameters.should.eql({
+        id: 'argon2id',
+        version: 19,
+        params: {m: 19456, t: 2, p: 1},
+        salt: 'c29tZXNhbHQ'
+      });
+    });
+    it('should not set a scrypt password below minimum cost', async () => {
+      const accountId = mockData.accounts['alpha@example.com'].account.id;
+      const hash = '$scrypt$ln=10,r=8,p=1$c29tZXNhbHQ$' +
+        'RdescudvJCsgt3ub+b+dWRWJTmaaJObG';
+      let result;
+      let err;
+      try {
+        result = await brAuthnToken.set({
+          accountId,
+          type: 'password',
+          hash
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(result);
+      should.exist(err);
+      err.name.should.equal('ConstraintError');
+      err.message.should.equal('CPU/memory cost (10) must be at least 17.');
+    });
     it('should throw error if email or account is not given', async () => {
       let result;
       let err;
@@ -156,4 +204,396 @@ describe('Password API', () => {
       verifyResult.should.equal(false);
     });
   });
+  describe('upgradePassword', () => {
+    let iterations;
+    beforeEach(async () => {
+      await prepareDatabase(mockData);
+      ({iterations} = bedrock.config['authn-token'].pbkdf2);
+    });
+    afterEach(async () => {
+      bedrock.config['authn-token'].pbkdf2.iterations = iterations;
+    });
+    it('should flag and upgrade a password below policy', async () => {
+      const accountId = mockData.accounts['alpha@example.com'].account.id;
+      const {hash} = await brAuthnToken._pbkdf2.pbkdf2({secret: 'password'});
+      await brAuthnToken.set({accountId, type: 'password', hash});
+
+      // raise policy
+      bedrock.config['authn-token'].pbkdf2.iterations = iterations * 2;
+
+      const result = await brAuthnToken.verify({
+        accountId, type: 'password', hash
+      });
+      result.should.eql({
+        id: accountId,
+        email: 'alpha@example.com',
+        token: {
+          type: 'password',
+          authenticationMethod: 'password',
+          needsRehash: true,
+          hashParameters: {
+            id: 'pbkdf2-sha512',
+            params: {i: iterations * 2}
+          }
+        }
+      });
+
+      // upgrade using the new hash parameters
+      const {hash: newHash} = await brAuthnToken._pbkdf2.pbkdf2({
+        secret: 'password', iterations: result.token.hashParameters.params.i
+      });
+      let err;
+      try {
+        await brAuthnToken.upgradePassword({
+          accountId, currentHash: hash, hash: newHash
+        });
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+
+      // old hash no longer verifies; new one does without a rehash flag
+      (await brAuthnToken.verify({
+        accountId, type: 'password', hash
+      })).should.equal(false);
+      const result2 = await brAuthnToken.verify({
+        accountId, type: 'password', hash: newHash
+      });
+      should.not.exist(result2.token.needsRehash);
+    });
+    it('should flag a password below the parallelism policy', async () => {
+      const accountId = mockData.accounts['alpha@example.com'].account.id;
+      const hash = '$argon2id$v=19$m=19456,t=2,p=1$c29tZXNhbHQ$' +
+        'RdescudvJCsgt3ub+b+dWRWJTmaaJObG';
+      await brAuthnToken.set({accountId, type: 'password', hash});
+
+      // raise policy
+      const cfg = bedrock.config['authn-token'].argon2id;
+      const {parallelism} = cfg;
+      cfg.parallelism = 2;
+      let result;
+      try {
+        result = await brAuthnToken.verify({
+          accountId, type: 'password', hash
+        });
+      } finally {
+        cfg.parallelism = parallelism;
+      }
+      result.token.needsRehash.should.equal(true);
+      result.token.hashParameters.should.eql({
+        id: 'argon2id',
+        version: 19,
+        params: {m: cfg.memory, t: cfg.iterations, p: 2}
+      });
+    });
+    it('should not upgrade with a mismatched current hash', async () => {
+      const accountId = mockData.accounts['alpha@example.com'].account.id;
+      const {hash} = await brAuthnToken._pbkdf2.pbkdf2({secret: 'password'});
+      await brAuthnToken.set({accountId, type: 'password', hash});
+      const {hash: wrongHash} = await brAuthnToken._pbkdf2.pbkdf2(
+        {secret: 'wrong'});
+      const {hash: newHash} = await brAuthnToken._pbkdf2.pbkdf2(
+        {secret: 'password'});
+      let err;
+      try {
+        await brAuthnToken.upgradePassword({
+          accountId, currentHash: wrongHash, hash: newHash
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+
+      // counted as a failed attempt and audited like `verify()`
+      (await getFailedAttempts({accountId, type: 'password'})).count
+        .should.equal(1);
+      const {records} = await brAuthnToken.getAuditLog({
+        accountId, types: ['token.upgrade']
+      });
+      records.should.have.length(1);
+      records[0].tokenType.should.equal('password');
+      records[0].outcome.should.equal('failure');
+    });
+    it('should not upgrade while locked out', async () => {
+      const accountId = mockData.accounts['alpha@example.com'].account.id;
+      const {hash} = await brAuthnToken._pbkdf2.pbkdf2({secret: 'password'});
+      await brAuthnToken.set({accountId, type: 'password', hash});
+      const {hash: wrongHash} = await brAuthnToken._pbkdf2.pbkdf2(
+        {secret: 'wrong'});
+      const {threshold} = bedrock.config['authn-token'].lockout;
+      for(let i = 0; i < threshold; ++i) {
+        await brAuthnToken.verify({
+          accountId, type: 'password', hash: wrongHash
+        });
+      }
+
+      // even the correct current hash is rejected while locked out
+      let err;
+      try {
+        await brAuthnToken.upgradePassword({
+          accountId, currentHash: hash, hash
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+      err.details.retryAfter.should.be.above(0);
+    });
+  });
+  describe('getHashParameters', () => {
+    beforeEach(async () => {
+      await prepareDatabase(mockData);
+    });
+    it('should get the hash parameters of a password', async () => {
+      const accountId = mockData.accounts['alpha@example.com'].account.id;
+      const {hash, phc} = await brAuthnToken._pbkdf2.pbkdf2(
+        {secret: 'password'});
+      await brAuthnToken.set({accountId, type: 'password', hash});
+      const result = await brAuthnToken.getHashParameters({
+        email: 'alpha@example.com', type: 'password'
+      });
+      result.should.eql({
+        id: 'pbkdf2-sha512',
+        params: {i: phc.params.i},
+        salt: phc.salt
+      });
+    });
+    it('should get the hash parameters of a nonce', async () => {
+      const email = 'alpha@example.com';
+      const accountId = mockData.accounts[email].account.id;
+      await brAuthnToken.set({email, type: 'nonce'});
+      const [token] = await getStoredTokens({accountId, type: 'nonce'});
+      const result = await brAuthnToken.getHashParameters({
+        email, type: 'nonce'
+      });
+      result.should.eql(token.hashParameters);
+    });
+    it('should get fake hash parameters for an unknown account', async () => {
+      const email = 'unknown@example.com';
+      const result = await brAuthnToken.getHashParameters({
+        email, type: 'password'
+      });
+      result.should.have.keys(['id', 'params', 'salt']);
+      result.id.should.equal('pbkdf2-sha512');
+      result.params.should.eql(
+        {i: bedrock.config['authn-token'].pbkdf2.iterations});
+      result.salt.should.be.a('string');
+
+      // same parameters every time for the same email
+      (await brAuthnToken.getHashParameters({email, type: 'password'}))
+        .should.eql(result);
+      // but not for another email
+      (await brAuthnToken.getHashParameters({
+        email: 'unknown2@example.com', type: 'password'
+      })).salt.should.not.equal(result.salt);
+    });
+    it('should get fake hash parameters for the password algorithm',
+      async () => {
+        const cfg = bedrock.config['authn-token'];
+        cfg.fakeHashParameters.passwordAlgorithm = 'argon2id';
+        let result;
+        try {
+          result = await brAuthnToken.getHashParameters({
+            email: 'unknown@example.com', type: 'password'
+          });
+        } finally {
+          cfg.fakeHashParameters.passwordAlgorithm = 'pbkdf2-sha512';
+        }
+        result.should.have.keys(['id', 'params', 'salt']);
+        result.id.should.equal('argon2id');
+        result.params.should.eql({
+          m: cfg.argon2id.memory,
+          t: cfg.argon2id.iterations,
+          p: cfg.argon2id.parallelism
+        });
+
+        // other types still use the default algorithm
+        (await brAuthnToken.getHashParameters({
+          email: 'unknown@example.com', type: 'nonce'
+        })).id.should.equal('pbkdf2-sha512');
+      });
+    it('should get fake hash parameters if no token is set', async () => {
+      const result = await brAuthnToken.getHashParameters({
+        email: 'alpha@example.com', type: 'password'
+      });
+      result.should.have.keys(['id', 'params', 'salt']);
+      result.id.should.equal('pbkdf2-sha512');
+    });
+    it('should throw error for a type without hash parameters', async () => {
+      let err;
+      try {
+        await brAuthnToken.getHashParameters({
+          email: 'alpha@example.com', type: 'totp'
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+    });
+  });
+  describe('enumeration protection', () => {
+    let hash;
+    before(async () => {
+      ({hash} = await brAuthnToken._pbkdf2.pbkdf2({secret: 'password'}));
+    });
+    beforeEach(async () => {
+      await prepareDatabase(mockData);
+      bedrock.config['authn-token'].enumerationProtection.enabled = true;
+    });
+    afterEach(async () => {
+      bedrock.config['authn-token'].enumerationProtection.enabled = false;
+    });
+    it('should return false for an unknown account', async () => {
+      const result = await brAuthnToken.verify({
+        email: 'unknown@example.com', type: 'password', hash
+      });
+      result.should.equal(false);
+    });
+    it('should return false for a missing token', async () => {
+      const email = 'alpha@example.com';
+      const result = await brAuthnToken.verify({
+        email, type: 'password', hash
+      });
+      result.should.equal(false);
+
+      // counted as a failed attempt like a wrong password
+      const accountId = mockData.accounts[email].account.id;
+      (await getFailedAttempts({accountId, type: 'password'})).count
+        .should.equal(1);
+    });
+    it('should fail the same way for unknown accounts and wrong passwords',
+      async () => {
+        const cfg = bedrock.config['authn-token'];
+        const {threshold} = cfg.lockout;
+        const {minDuration} = cfg.enumerationProtection;
+        await brAuthnToken.set({
+          email: 'alpha@example.com', type: 'password', hash
+        });
+        const {hash: wrongHash} = await brAuthnToken._pbkdf2.pbkdf2(
+          {secret: 'wrong'});
+
+        const outcomes = {};
+        for(const email of ['alpha@example.com', 'unknown@example.com']) {
+          outcomes[email] = [];
+          for(let i = 0; i <= threshold; ++i) {
+            const start = Date.now();
+            let outcome;
+            try {
+              outcome = await brAuthnToken.verify({
+                email, type: 'password', hash: wrongHash
+              });
+            } catch(e) {
+              outcome = {name: e.name, retryAfter: e.details.retryAfter};
+            }
+            // allow for timers that fire up to a millisecond early
+            (Date.now() - start).should.be.at.least(minDuration - 1);
+            outcomes[email].push(outcome);
+          }
+        }
+
+        // wrong passwords until locked out, for either account
+        outcomes['alpha@example.com'].should.eql([
+          ...Array(threshold).fill(false),
+          {name: 'NotAllowedError', retryAfter: cfg.lockout.baseDelay / 1000}
+        ]);
+        outcomes['unknown@example.com'].should.eql(
+          outcomes['alpha@example.com']);
+      });
+    it('should throw NotFoundError when disabled', async () => {
+      bedrock.config['authn-token'].enumerationProtection.enabled = false;
+      let err;
+      try {
+        await brAuthnToken.verify({
+          email: 'unknown@example.com', type: 'password', hash
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotFoundError');
+    });
+  });
+  describe('pepper', () => {
+    const peppers = [{
+      id: 'pepper-1', secret: '70BHxD83s8n8aSUMCyufwkH-hXB7T1kbKBJFzMhg-zA'
+    }, {
+      id: 'pepper-2', secret: 'yFRIuvJMiaXeJBBP5XrONHwraNJUKaNpagrcICUBipM'
+    }];
+    let accountId;
+    let hash;
+    let pepperConfig;
+    before(async () => {
+      ({hash} = await brAuthnToken._pbkdf2.pbkdf2({secret: 'password'}));
+    });
+    beforeEach(async () => {
+      pepperConfig = bedrock.config['authn-token'].pepper;
+      bedrock.config['authn-token'].pepper = {currentId: null, peppers};
+      await prepareDatabase(mockData);
+      accountId = mockData.accounts['alpha@example.com'].account.id;
+    });
+    afterEach(async () => {
+      bedrock.config['authn-token'].pepper = pepperConfig;
+    });
+    it('should store and verify a peppered password', async () => {
+      bedrock.config['authn-token'].pepper.currentId = 'pepper-1';
+      await brAuthnToken.set({accountId, type: 'password', hash});
+      const [token] = await getStoredTokens({accountId, type: 'password'});
+      token.pepperId.should.equal('pepper-1');
+      const result = await brAuthnToken.verify({
+        accountId, type: 'password', hash
+      });
+      result.id.should.equal(accountId);
+    });
+    it('should store and verify a peppered nonce', async () => {
+      bedrock.config['authn-token'].pepper.currentId = 'pepper-1';
+      const {challenge} = await brAuthnToken.set({
+        accountId, type: 'nonce', typeOptions: {entryStyle: 'machine'}
+      });
+      const [token] = await getStoredTokens({accountId, type: 'nonce'});
+      token.pepperId.should.equal('pepper-1');
+      const result = await brAuthnToken.verify({
+        accountId, type: 'nonce', challenge
+      });
+      result.id.should.equal(accountId);
+    });
+    it('should re-pepper a password on successful verify', async () => {
+      await brAuthnToken.set({accountId, type: 'password', hash});
+      let [token] = await getStoredTokens({accountId, type: 'password'});
+      should.not.exist(token.pepperId);
+
+      // unpeppered hash is re-peppered with the current pepper
+      bedrock.config['authn-token'].pepper.currentId = 'pepper-1';
+      await brAuthnToken.verify({accountId, type: 'password', hash});
+      [token] = await getStoredTokens({accountId, type: 'password'});
+      token.pepperId.should.equal('pepper-1');
+
+      // previous pepper is re-peppered with a new pepper
+      bedrock.config['authn-token'].pepper.currentId = 'pepper-2';
+      let result = await brAuthnToken.verify({
+        accountId, type: 'password', hash
+      });
+      result.id.should.equal(accountId);
+      [token] = await getStoredTokens({accountId, type: 'password'});
+      token.pepperId.should.equal('pepper-2');
+
+      // previous pepper no longer needed
+      bedrock.config['authn-token'].pepper.peppers = [peppers[1]];
+      result = await brAuthnToken.verify({accountId, type: 'password', hash});
+      result.id.should.equal(accountId);
+    });
+    it('should not re-pepper a password on failed verify', async () => {
+      await brAuthnToken.set({accountId, type: 'password', hash});
+      bedrock.config['authn-token'].pepper.currentId = 'pepper-1';
+      const {hash: wrongHash} = await brAuthnToken._pbkdf2.pbkdf2(
+        {secret: 'foo'});
+      const result = await brAuthnToken.verify({
+        accountId, type: 'password', hash: wrongHash
+      });
+      result.should.equal(false);
+      const [token] = await getStoredTokens({accountId, type: 'password'});
+      should.not.exist(token.pepperId);
+    });
+  });
 });
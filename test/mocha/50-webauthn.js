@@ -0,0 +1,341 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as brAuthnToken from '@bedrock/authn-token';
+import {getStoredTokens, prepareDatabase} from './helpers.js';
+import {createAuthenticator} from './mock.authenticator.js';
+import {mockData} from './mock.data.js';
+import sinon from 'sinon';
+
+describe('WebAuthn API', () => {
+  describe('set', () => {
+    // NOTE: the accounts collection is getting erased before each test
+    // this allows for the creation of tokens using the same account info
+    beforeEach(async () => {
+      await prepareDatabase(mockData);
+    });
+    it('should return registration options', async () => {
+      const accountId = mockData.accounts['alpha@example.com'].account.id;
+      let result;
+      let err;
+      try {
+        result = await brAuthnToken.set({accountId, type: 'webauthn'});
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.should.have.keys(['id', 'type', 'registrationOptions']);
+      result.type.should.equal('webauthn');
+      const {registrationOptions} = result;
+      registrationOptions.rp.id.should.equal('localhost');
+      registrationOptions.user.name.should.equal('alpha@example.com');
+      registrationOptions.challenge.should.be.a('string');
+
+      // challenge is stored in a pending token
+      const [token] = await getStoredTokens({accountId, type: 'webauthn'});
+      token.id.should.equal(result.id);
+      token.pending.should.equal(true);
+      token.challenge.should.equal(registrationOptions.challenge);
+      should.exist(token.expires);
+    });
+    it('should register a credential', async () => {
+      const accountId = mockData.accounts['alpha@example.com'].account.id;
+      const authenticator = _createAuthenticator();
+      const result = await _register({accountId, authenticator});
+      result.should.have.keys(['id', 'type', 'credentialId']);
+      result.credentialId.should.equal(authenticator.id);
+
+      const [token] = await getStoredTokens({accountId, type: 'webauthn'});
+      token.id.should.equal(result.id);
+      token.credentialId.should.equal(authenticator.id);
+      token.publicKey.should.be.a('string');
+      token.counter.should.equal(0);
+      should.not.exist(token.pending);
+      should.not.exist(token.challenge);
+
+      // the same credential cannot be registered twice
+      let err;
+      try {
+        await _register({accountId, authenticator});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('DuplicateError');
+    });
+    it('should not register a credential that does not verify', async () => {
+      const accountId = mockData.accounts['alpha@example.com'].account.id;
+      await brAuthnToken.set({accountId, type: 'webauthn'});
+      let result;
+      let err;
+      try {
+        result = await brAuthnToken.set({
+          accountId,
+          type: 'webauthn',
+          credential: {
+            id: 'invalid',
+            rawId: 'invalid',
+            type: 'public-key',
+            response: {clientDataJSON: 'invalid', attestationObject: 'invalid'}
+          }
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(result);
+      should.exist(err);
+      err.name.should.equal('DataError');
+    });
+  });
+  describe('verify', () => {
+    beforeEach(async () => {
+      await prepareDatabase(mockData);
+    });
+    it('should not get authentication options without a credential',
+      async () => {
+        const accountId = mockData.accounts['alpha@example.com'].account.id;
+        await brAuthnToken.set({accountId, type: 'webauthn'});
+        let result;
+        let err;
+        try {
+          result = await brAuthnToken.getWebAuthnAuthenticationOptions(
+            {accountId});
+        } catch(e) {
+          err = e;
+        }
+        should.not.exist(result);
+        should.exist(err);
+        err.name.should.equal('NotFoundError');
+      });
+    it('should return false for an unregistered credential', async () => {
+      const accountId = mockData.accounts['alpha@example.com'].account.id;
+      await brAuthnToken.set({accountId, type: 'webauthn'});
+      let result;
+      let err;
+      try {
+        result = await brAuthnToken.verify({
+          accountId,
+          type: 'webauthn',
+          challenge: 'challenge',
+          credential: {id: 'unknown', type: 'public-key', response: {}}
+        });
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      result.should.equal(false);
+    });
+    it('should verify an assertion', async () => {
+      const accountId = mockData.accounts['alpha@example.com'].account.id;
+      const authenticator = _createAuthenticator();
+      await _register({accountId, authenticator});
+
+      const options = await brAuthnToken.getWebAuthnAuthenticationOptions(
+        {accountId});
+      options.allowCredentials.map(({id}) => id).should.eql(
+        [authenticator.id]);
+      authenticator.signCount = 1;
+      const result = await brAuthnToken.verify({
+        accountId,
+        type: 'webauthn',
+        challenge: options.challenge,
+        credential: authenticator.authenticate(options)
+      });
+      result.should.eql({
+        id: accountId,
+        email: 'alpha@example.com',
+        token: {type: 'webauthn', authenticationMethod: 'webauthn'}
+      });
+
+      // new sign counter is stored
+      const [token] = await getStoredTokens({accountId, type: 'webauthn'});
+      token.counter.should.equal(1);
+      token.lastUsed.should.be.a('Date');
+    });
+    it('should not replay an assertion without a sign counter', async () => {
+      const accountId = mockData.accounts['alpha@example.com'].account.id;
+      const authenticator = _createAuthenticator();
+      await _register({accountId, authenticator});
+
+      // sign counter stays `0`, as for many passkeys
+      const {challenge} = await brAuthnToken.getWebAuthnAuthenticationOptions(
+        {accountId});
+      const credential = authenticator.authenticate({challenge});
+      let result = await brAuthnToken.verify(
+        {accountId, type: 'webauthn', challenge, credential});
+      result.id.should.equal(accountId);
+
+      // challenge has been used
+      result = await brAuthnToken.verify(
+        {accountId, type: 'webauthn', challenge, credential});
+      result.should.equal(false);
+    });
+    it('should not verify a challenge that was not issued', async () => {
+      const accountId = mockData.accounts['alpha@example.com'].account.id;
+      const authenticator = _createAuthenticator();
+      await _register({accountId, authenticator});
+
+      const challenge = Buffer.from('not issued').toString('base64url');
+      const result = await brAuthnToken.verify({
+        accountId,
+        type: 'webauthn',
+        challenge,
+        credential: authenticator.authenticate({challenge})
+      });
+      result.should.equal(false);
+    });
+    it('should not verify an expired challenge', async () => {
+      const accountId = mockData.accounts['alpha@example.com'].account.id;
+      const authenticator = _createAuthenticator();
+      await _register({accountId, authenticator});
+
+      const {authenticationTtl} = bedrock.config['authn-token'].webauthn;
+      const clock = sinon.useFakeTimers(Date.now() - authenticationTtl - 1000);
+      let options;
+      try {
+        options = await brAuthnToken.getWebAuthnAuthenticationOptions(
+          {accountId});
+      } finally {
+        clock.restore();
+      }
+      const result = await brAuthnToken.verify({
+        accountId,
+        type: 'webauthn',
+        challenge: options.challenge,
+        credential: authenticator.authenticate(options)
+      });
+      result.should.equal(false);
+    });
+    it('should reject a sign counter that did not increase', async () => {
+      const accountId = mockData.accounts['alpha@example.com'].account.id;
+      const authenticator = _createAuthenticator();
+      await _register({accountId, authenticator});
+
+      authenticator.signCount = 5;
+      let options = await brAuthnToken.getWebAuthnAuthenticationOptions(
+        {accountId});
+      let result = await brAuthnToken.verify({
+        accountId,
+        type: 'webauthn',
+        challenge: options.challenge,
+        credential: authenticator.authenticate(options)
+      });
+      result.id.should.equal(accountId);
+
+      // a cloned authenticator would reuse an older counter
+      authenticator.signCount = 3;
+      options = await brAuthnToken.getWebAuthnAuthenticationOptions(
+        {accountId});
+      result = await brAuthnToken.verify({
+        accountId,
+        type: 'webauthn',
+        challenge: options.challenge,
+        credential: authenticator.authenticate(options)
+      });
+      result.should.equal(false);
+      const [token] = await getStoredTokens({accountId, type: 'webauthn'});
+      token.counter.should.equal(5);
+    });
+    it('should satisfy "requiredAuthenticationMethods"', async () => {
+      const accountId = mockData.accounts['alpha@example.com'].account.id;
+      const authenticator = _createAuthenticator();
+      await _register({accountId, authenticator});
+      const {hash} = await brAuthnToken._pbkdf2.pbkdf2({secret: 'password'});
+      await brAuthnToken.set({
+        accountId, type: 'password', hash,
+        requiredAuthenticationMethods: ['webauthn']
+      });
+
+      let err;
+      try {
+        await brAuthnToken.verify({accountId, type: 'password', hash});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+
+      const options = await brAuthnToken.getWebAuthnAuthenticationOptions(
+        {accountId});
+      const {token: {authenticationMethod}} = await brAuthnToken.verify({
+        accountId,
+        type: 'webauthn',
+        challenge: options.challenge,
+        credential: authenticator.authenticate(options)
+      });
+      const result = await brAuthnToken.verify({
+        accountId, type: 'password', hash,
+        authenticatedMethods: [authenticationMethod]
+      });
+      result.id.should.equal(accountId);
+    });
+    it('should require other methods before verifying', async () => {
+      const accountId = mockData.accounts['alpha@example.com'].account.id;
+      const authenticator = _createAuthenticator();
+      await _register({
+        accountId, authenticator, requiredAuthenticationMethods: ['password']
+      });
+
+      let options = await brAuthnToken.getWebAuthnAuthenticationOptions(
+        {accountId});
+      let err;
+      try {
+        await brAuthnToken.verify({
+          accountId,
+          type: 'webauthn',
+          challenge: options.challenge,
+          credential: authenticator.authenticate(options)
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('NotAllowedError');
+
+      options = await brAuthnToken.getWebAuthnAuthenticationOptions(
+        {accountId});
+      const result = await brAuthnToken.verify({
+        accountId,
+        type: 'webauthn',
+        challenge: options.challenge,
+        credential: authenticator.authenticate(options),
+        authenticatedMethods: ['password']
+      });
+      result.id.should.equal(accountId);
+    });
+    it('should throw if "credential" is not given', async () => {
+      const accountId = mockData.accounts['alpha@example.com'].account.id;
+      let result;
+      let err;
+      try {
+        result = await brAuthnToken.verify({
+          accountId,
+          type: 'webauthn',
+          challenge: 'challenge'
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(result);
+      should.exist(err);
+      err.message.should.equal('credential (object) is required');
+    });
+  });
+});
+
+function _createAuthenticator() {
+  const {rpId, origins: [origin]} = bedrock.config['authn-token'].webauthn;
+  return createAuthenticator({rpId, origin});
+}
+
+async function _register({accountId, authenticator, ...options}) {
+  const {registrationOptions} = await brAuthnToken.set(
+    {accountId, type: 'webauthn', ...options});
+  return brAuthnToken.set({
+    accountId,
+    type: 'webauthn',
+    credential: authenticator.register(registrationOptions)
+  });
+}
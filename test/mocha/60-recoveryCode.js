@@ -0,0 +1,160 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as brAuthnToken from '@bedrock/authn-token';
+import {mockData} from './mock.data.js';
+import {prepareDatabase} from './helpers.js';
+
+describe('Recovery code API', () => {
+  describe('set', () => {
+    // NOTE: the accounts collection is getting erased before each test
+    // this allows for the creation of tokens using the same account info
+    beforeEach(async () => {
+      await prepareDatabase(mockData);
+    });
+    it('should set a batch of recovery codes', async () => {
+      const accountId = mockData.accounts['alpha@example.com'].account.id;
+      const {count} = bedrock.config['authn-token'].recoveryCode;
+      let result;
+      let err;
+      try {
+        result = await brAuthnToken.set({accountId, type: 'recoveryCode'});
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.should.have.keys(['id', 'type', 'codes']);
+      result.type.should.equal('recoveryCode');
+      result.codes.should.be.an('array');
+      result.codes.length.should.equal(count);
+      for(const code of result.codes) {
+        code.should.match(/^[a-z2-9]{5}-[a-z2-9]{5}$/);
+      }
+      new Set(result.codes).size.should.equal(count);
+    });
+    it('should not set recovery codes if they already exist', async () => {
+      const accountId = mockData.accounts['alpha@example.com'].account.id;
+      await brAuthnToken.set({accountId, type: 'recoveryCode'});
+      let result;
+      let err;
+      try {
+        result = await brAuthnToken.set({accountId, type: 'recoveryCode'});
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(result);
+      should.exist(err);
+      err.name.should.equal('DuplicateError');
+    });
+  });
+  describe('verify', () => {
+    beforeEach(async () => {
+      await prepareDatabase(mockData);
+    });
+    it('should consume a valid recovery code', async () => {
+      const accountId = mockData.accounts['alpha@example.com'].account.id;
+      const {codes} = await brAuthnToken.set({
+        accountId, type: 'recoveryCode'
+      });
+      const {hashParameters} = await brAuthnToken.get({
+        accountId, type: 'recoveryCode'
+      });
+      const {hash} = await brAuthnToken._pbkdf2.pbkdf2({
+        secret: brAuthnToken.normalizeRecoveryCode({code: codes[3]}),
+        phc: hashParameters
+      });
+
+      let result;
+      let err;
+      try {
+        result = await brAuthnToken.verify({
+          accountId, type: 'recoveryCode', hash
+        });
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      result.should.eql({
+        id: accountId,
+        email: 'alpha@example.com',
+        token: {
+          type: 'recoveryCode',
+          authenticationMethod: 'recoveryCode',
+          remaining: codes.length - 1
+        }
+      });
+
+      // code must not verify a second time
+      result = await brAuthnToken.verify({
+        accountId, type: 'recoveryCode', hash
+      });
+      result.should.equal(false);
+    });
+    it('should invalidate old codes when regenerated', async () => {
+      const accountId = mockData.accounts['alpha@example.com'].account.id;
+      const {codes} = await brAuthnToken.set({
+        accountId, type: 'recoveryCode'
+      });
+      const {hashParameters} = await brAuthnToken.get({
+        accountId, type: 'recoveryCode'
+      });
+      const {hash} = await brAuthnToken._pbkdf2.pbkdf2({
+        secret: brAuthnToken.normalizeRecoveryCode({code: codes[0]}),
+        phc: hashParameters
+      });
+
+      await brAuthnToken.set({
+        accountId, type: 'recoveryCode', typeOptions: {regenerate: true}
+      });
+      const result = await brAuthnToken.verify({
+        accountId, type: 'recoveryCode', hash
+      });
+      result.should.equal(false);
+    });
+    it('should verify a recovery code however it is entered', async () => {
+      const accountId = mockData.accounts['alpha@example.com'].account.id;
+      const {codes} = await brAuthnToken.set({
+        accountId, type: 'recoveryCode'
+      });
+      const {hashParameters} = await brAuthnToken.get({
+        accountId, type: 'recoveryCode'
+      });
+      const entered = [
+        codes[0].toUpperCase().replace('-', ' '),
+        codes[1].replace('-', ''),
+        ` ${codes[2]} `
+      ];
+      for(const [i, code] of entered.entries()) {
+        const normalized = brAuthnToken.normalizeRecoveryCode({code});
+        normalized.should.equal(codes[i].replace('-', ''));
+        const {hash} = await brAuthnToken._pbkdf2.pbkdf2({
+          secret: normalized, phc: hashParameters
+        });
+        const result = await brAuthnToken.verify({
+          accountId, type: 'recoveryCode', hash
+        });
+        result.token.remaining.should.equal(codes.length - i - 1);
+      }
+    });
+    it('should throw if "challenge" is given', async () => {
+      const accountId = mockData.accounts['alpha@example.com'].account.id;
+      const {codes} = await brAuthnToken.set({
+        accountId, type: 'recoveryCode'
+      });
+      let result;
+      let err;
+      try {
+        result = await brAuthnToken.verify({
+          accountId, type: 'recoveryCode', challenge: codes[0]
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.not.exist(result);
+      should.exist(err);
+      err.name.should.equal('DataError');
+    });
+  });
+});
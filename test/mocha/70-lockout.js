@@ -0,0 +1,121 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as brAccount from '@bedrock/account';
+import * as brAuthnToken from '@bedrock/authn-token';
+import {getFailedAttempts, prepareDatabase} from './helpers.js';
+import {mockData} from './mock.data.js';
+
+describe('Lockout', () => {
+  let accountId;
+  let hash;
+  let wrongHash;
+  before(async () => {
+    ({hash} = await brAuthnToken._pbkdf2.pbkdf2({secret: 'password'}));
+    ({hash: wrongHash} = await brAuthnToken._pbkdf2.pbkdf2({secret: 'foo'}));
+  });
+  // NOTE: the accounts collection is getting erased before each test
+  // this allows for the creation of tokens using the same account info
+  beforeEach(async () => {
+    await prepareDatabase(mockData);
+    accountId = mockData.accounts['alpha@example.com'].account.id;
+    await brAuthnToken.set({accountId, type: 'password', hash});
+  });
+  it('should lock out after too many failed attempts', async () => {
+    const {threshold} = bedrock.config['authn-token'].lockout;
+    for(let i = 0; i < threshold; ++i) {
+      const result = await brAuthnToken.verify({
+        accountId, type: 'password', hash: wrongHash
+      });
+      result.should.equal(false);
+    }
+
+    // even the correct password is rejected while locked out
+    let result;
+    let err;
+    try {
+      result = await brAuthnToken.verify({accountId, type: 'password', hash});
+    } catch(e) {
+      err = e;
+    }
+    should.not.exist(result);
+    should.exist(err);
+    err.name.should.equal('NotAllowedError');
+    err.details.retryAfter.should.be.a('number');
+    err.details.retryAfter.should.be.above(0);
+
+    // other token types are not locked out
+    const nonce = await brAuthnToken.set({
+      accountId, type: 'nonce', typeOptions: {entryStyle: 'machine'}
+    });
+    result = await brAuthnToken.verify({
+      accountId, type: 'nonce', challenge: nonce.challenge
+    });
+    result.should.not.equal(false);
+  });
+  it('should lock out after too many parallel failed attempts', async () => {
+    const {threshold} = bedrock.config['authn-token'].lockout;
+    const results = await Promise.allSettled(
+      Array.from({length: threshold + 2}, () => brAuthnToken.verify({
+        accountId, type: 'password', hash: wrongHash
+      })));
+    const verified = results.filter(({status}) => status === 'fulfilled');
+    verified.length.should.equal(threshold);
+    for(const {value} of verified) {
+      value.should.equal(false);
+    }
+    for(const {status, reason} of results) {
+      if(status === 'rejected') {
+        reason.name.should.equal('NotAllowedError');
+      }
+    }
+
+    let result;
+    let err;
+    try {
+      result = await brAuthnToken.verify({accountId, type: 'password', hash});
+    } catch(e) {
+      err = e;
+    }
+    should.not.exist(result);
+    should.exist(err);
+    err.name.should.equal('NotAllowedError');
+  });
+  it('should verify after a lockout is cleared', async () => {
+    const {threshold} = bedrock.config['authn-token'].lockout;
+    for(let i = 0; i < threshold; ++i) {
+      await brAuthnToken.verify({accountId, type: 'password', hash: wrongHash});
+    }
+
+    const cleared = await brAuthnToken.clearLockout({
+      accountId, type: 'password'
+    });
+    cleared.should.equal(true);
+
+    let result;
+    let err;
+    try {
+      result = await brAuthnToken.verify({accountId, type: 'password', hash});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    result.id.should.equal(accountId);
+  });
+  it('should reset failed attempts after a success', async () => {
+    await brAuthnToken.verify({accountId, type: 'password', hash: wrongHash});
+    (await getFailedAttempts({accountId, type: 'password'})).count
+      .should.equal(1);
+
+    await brAuthnToken.verify({accountId, type: 'password', hash});
+    should.not.exist(await getFailedAttempts({accountId, type: 'password'}));
+  });
+  it('should not update the account record', async () => {
+    const {meta: {sequence}} = await brAccount.get({id: accountId});
+    await brAuthnToken.verify({accountId, type: 'password', hash: wrongHash});
+    await brAuthnToken.verify({accountId, type: 'password', hash});
+    const {meta} = await brAccount.get({id: accountId});
+    meta.sequence.should.equal(sequence);
+  });
+});
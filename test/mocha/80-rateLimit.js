@@ -0,0 +1,79 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as brAuthnToken from '@bedrock/authn-token';
+import {mockData} from './mock.data.js';
+import {prepareDatabase} from './helpers.js';
+
+describe('Nonce rate limiting', () => {
+  let windows;
+  before(() => {
+    ({windows} = bedrock.config['authn-token'].nonce.rateLimit);
+    bedrock.config['authn-token'].nonce.rateLimit.windows = [
+      {duration: 60 * 1000, max: 2}
+    ];
+  });
+  after(() => {
+    bedrock.config['authn-token'].nonce.rateLimit.windows = windows;
+  });
+  // NOTE: the accounts collection is getting erased before each test
+  // this allows for the creation of tokens using the same account info
+  beforeEach(async () => {
+    await prepareDatabase(mockData);
+  });
+  it('should throw error if nonces are issued too often', async () => {
+    const accountId = mockData.accounts['alpha@example.com'].account.id;
+    await brAuthnToken.set({accountId, type: 'nonce'});
+    await brAuthnToken.set({email: 'alpha@example.com', type: 'nonce'});
+    let result;
+    let err;
+    try {
+      result = await brAuthnToken.set({accountId, type: 'nonce'});
+    } catch(e) {
+      err = e;
+    }
+    should.not.exist(result);
+    should.exist(err);
+    err.name.should.equal('NotAllowedError');
+    err.details.httpStatusCode.should.equal(429);
+    err.details.retryAfter.should.be.a('number');
+    err.details.retryAfter.should.be.above(0);
+    err.details.retryAfter.should.be.at.most(60);
+
+    // other accounts are not affected
+    result = await brAuthnToken.set({
+      accountId: mockData.accounts['beta@example.com'].account.id,
+      type: 'nonce'
+    });
+    should.exist(result);
+  });
+  it('should throw error if a client requests nonces too often', async () => {
+    const clientId = 'd9c9a5ad-58fa-4bf6-a2b9-8bd52ddd4b01';
+    await brAuthnToken.set({
+      email: 'alpha@example.com', type: 'nonce', clientId
+    });
+    await brAuthnToken.set({
+      email: 'beta@example.com', type: 'nonce', clientId
+    });
+    let result;
+    let err;
+    try {
+      result = await brAuthnToken.set({
+        email: 'gamma@example.com', type: 'nonce', clientId
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.not.exist(result);
+    should.exist(err);
+    err.name.should.equal('NotAllowedError');
+    err.details.retryAfter.should.be.above(0);
+
+    // the rejected request does not count against the account
+    result = await brAuthnToken.set({
+      email: 'gamma@example.com', type: 'nonce'
+    });
+    should.exist(result);
+  });
+});
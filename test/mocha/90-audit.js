@@ -0,0 +1,141 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as brAuthnToken from '@bedrock/authn-token';
+import {mockData} from './mock.data.js';
+import {prepareDatabase} from './helpers.js';
+import sinon from 'sinon';
+
+describe('Audit log', () => {
+  let accountId;
+  let hash;
+  let wrongHash;
+  before(async () => {
+    ({hash} = await brAuthnToken._pbkdf2.pbkdf2({secret: 'password'}));
+    ({hash: wrongHash} = await brAuthnToken._pbkdf2.pbkdf2({secret: 'foo'}));
+  });
+  // NOTE: the accounts collection is getting erased before each test
+  // this allows for the creation of tokens using the same account info
+  beforeEach(async () => {
+    await prepareDatabase(mockData);
+    accountId = mockData.accounts['alpha@example.com'].account.id;
+  });
+  it('should record set, verify, and remove', async () => {
+    const authenticationOrigin = 'https://example.com';
+    await brAuthnToken.set({
+      accountId, type: 'password', hash, authenticationOrigin
+    });
+    await brAuthnToken.verify({
+      accountId, type: 'password', hash: wrongHash, clientId: 'client',
+      authenticationOrigin
+    });
+    await brAuthnToken.verify({
+      accountId, type: 'password', hash, authenticationOrigin
+    });
+    await brAuthnToken.remove({
+      accountId, type: 'password', authenticationOrigin
+    });
+
+    const {records, hasMore} = await brAuthnToken.getAuditLog({accountId});
+    hasMore.should.equal(false);
+    records.map(({type, outcome}) => ({type, outcome})).should.eql([
+      {type: 'token.set', outcome: 'success'},
+      {type: 'token.verify', outcome: 'failure'},
+      {type: 'token.verify', outcome: 'success'},
+      {type: 'token.remove', outcome: 'success'}
+    ]);
+    for(const record of records) {
+      record.should.have.keys([
+        'id', 'type', 'accountId', 'tokenType', 'authenticationMethod',
+        'clientIdHash', 'authenticationOrigin', 'outcome', 'reason', 'created'
+      ]);
+      record.accountId.should.equal(accountId);
+      record.tokenType.should.equal('password');
+      record.authenticationOrigin.should.equal(authenticationOrigin);
+      record.created.should.be.a('Date');
+    }
+    records[1].clientIdHash.should.be.a('string');
+    records[1].clientIdHash.should.not.equal('client');
+    records[2].authenticationMethod.should.equal('password');
+  });
+  it('should record events for an account given by email', async () => {
+    await brAuthnToken.set({email: 'alpha@example.com', type: 'nonce'});
+    const {records} = await brAuthnToken.getAuditLog({accountId});
+    records.length.should.equal(1);
+    records[0].type.should.equal('token.set');
+    records[0].tokenType.should.equal('nonce');
+    records[0].accountId.should.equal(accountId);
+  });
+  it('should record client and recovery email changes', async () => {
+    await brAuthnToken.clients.set({
+      accountId, clientId: 'client', authenticated: true
+    });
+    await brAuthnToken.setRecoveryEmail({
+      accountId, recoveryEmail: 'recovery@example.com'
+    });
+    const {records} = await brAuthnToken.getAuditLog({accountId});
+    records.map(({type}) => type).should.eql([
+      'client.set', 'recoveryEmail.change'
+    ]);
+  });
+  it('should filter and page through records', async () => {
+    await brAuthnToken.set({accountId, type: 'password', hash});
+    for(let i = 0; i < 3; ++i) {
+      await brAuthnToken.verify({accountId, type: 'password', hash});
+    }
+
+    let result = await brAuthnToken.getAuditLog({
+      accountId, types: ['token.verify'], limit: 2
+    });
+    result.hasMore.should.equal(true);
+    result.records.length.should.equal(2);
+    result.records.every(({type}) => type === 'token.verify')
+      .should.equal(true);
+
+    const [first, second] = result.records;
+
+    result = await brAuthnToken.getAuditLog({
+      accountId, types: ['token.verify'], limit: 2, cursor: result.cursor
+    });
+    result.hasMore.should.equal(false);
+    result.records.length.should.equal(1);
+    result.records[0].id.should.not.be.oneOf([first.id, second.id]);
+  });
+  it('should page through records created at the same time', async () => {
+    // record every event at the same millisecond
+    const clock = sinon.useFakeTimers({
+      now: Date.now(), toFake: ['Date']
+    });
+    try {
+      await brAuthnToken.set({accountId, type: 'password', hash});
+      for(let i = 0; i < 4; ++i) {
+        await brAuthnToken.verify({accountId, type: 'password', hash});
+      }
+    } finally {
+      clock.restore();
+    }
+
+    const ids = [];
+    let cursor;
+    let hasMore = true;
+    while(hasMore) {
+      let records;
+      ({records, hasMore, cursor} = await brAuthnToken.getAuditLog({
+        accountId, limit: 2, cursor
+      }));
+      ids.push(...records.map(({id}) => id));
+    }
+    ids.length.should.equal(5);
+    new Set(ids).size.should.equal(5);
+  });
+  it('should reject an invalid cursor', async () => {
+    let err;
+    try {
+      await brAuthnToken.getAuditLog({accountId, cursor: 'invalid'});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('DataError');
+  });
+});
@@ -0,0 +1,73 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as brAccount from '@bedrock/account';
+import * as brAuthnToken from '@bedrock/authn-token';
+import {
+  getStoredTokens, prepareDatabase, removeCollection
+} from './helpers.js';
+import {mockData} from './mock.data.js';
+
+describe('Token storage migration', () => {
+  let accountId;
+  let hash;
+  before(async () => {
+    ({hash} = await brAuthnToken._pbkdf2.pbkdf2({secret: 'password'}));
+  });
+  // NOTE: the accounts collection is getting erased before each test
+  // this allows for the creation of tokens using the same account info
+  beforeEach(async () => {
+    await prepareDatabase(mockData);
+    accountId = mockData.accounts['alpha@example.com'].account.id;
+
+    // store a password token in account meta like previous versions did
+    await brAuthnToken.set({accountId, type: 'password', hash});
+    const [token] = await getStoredTokens({accountId, type: 'password'});
+    await removeCollection('authn-token-token');
+    const record = await brAccount.get({id: accountId});
+    const meta = {
+      ...record.meta,
+      sequence: record.meta.sequence + 1,
+      'bedrock-authn-token': {tokens: {password: token}}
+    };
+    await brAccount.update({id: accountId, meta});
+  });
+  it('should move tokens when they are accessed', async () => {
+    const result = await brAuthnToken.verify({
+      accountId, type: 'password', hash
+    });
+    result.id.should.equal(accountId);
+
+    const record = await brAccount.get({id: accountId});
+    should.not.exist(record.meta['bedrock-authn-token'].tokens);
+    const tokens = await getStoredTokens({accountId, type: 'password'});
+    tokens.length.should.equal(1);
+  });
+  it('should not copy a removed token again', async () => {
+    // the account record as read before the tokens were moved
+    const stale = await brAccount.get({id: accountId});
+    await brAuthnToken._tokenStorage.migrateAllTokens();
+    await brAuthnToken.remove({accountId, type: 'password'});
+
+    // restore the tokens in account meta as a stale update would
+    const record = await brAccount.get({id: accountId});
+    await brAccount.update({id: accountId, meta: {
+      ...record.meta,
+      sequence: record.meta.sequence + 1,
+      'bedrock-authn-token': stale.meta['bedrock-authn-token']
+    }});
+    await brAuthnToken._tokenStorage.migrateAllTokens();
+
+    const tokens = await getStoredTokens({accountId, type: 'password'});
+    tokens.length.should.equal(0);
+  });
+  it('should move tokens for all accounts', async () => {
+    const count = await brAuthnToken._tokenStorage.migrateAllTokens();
+    count.should.equal(1);
+
+    const record = await brAccount.get({id: accountId});
+    should.not.exist(record.meta['bedrock-authn-token'].tokens);
+    const tokens = await getStoredTokens({accountId, type: 'password'});
+    tokens.length.should.equal(1);
+  });
+});
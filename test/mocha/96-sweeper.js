@@ -0,0 +1,91 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as brAuthnToken from '@bedrock/authn-token';
+import * as database from '@bedrock/mongodb';
+import {
+  getFailedAttempts, getStoredTokens, prepareDatabase
+} from './helpers.js';
+import {mockData} from './mock.data.js';
+import sinon from 'sinon';
+
+describe('Sweeper', () => {
+  let accountId;
+  // NOTE: the accounts collection is getting erased before each test
+  // this allows for the creation of tokens using the same account info
+  beforeEach(async () => {
+    await prepareDatabase(mockData);
+    accountId = mockData.accounts['alpha@example.com'].account.id;
+  });
+  it('should remove expired state', async () => {
+    // set a nonce that expired before `expiredTokenRetention`, a recently
+    // expired nonce, and a current nonce
+    const {expiredTokenRetention} = bedrock.config['authn-token'].storage;
+    const yesterday = new Date();
+    yesterday.setDate(yesterday.getDate() - 1);
+    let clock = sinon.useFakeTimers(Date.now() - 2 * expiredTokenRetention);
+    try {
+      await brAuthnToken.set({accountId, type: 'nonce'});
+    } finally {
+      clock.restore();
+    }
+    clock = sinon.useFakeTimers(Date.now() - 60 * 60 * 1000);
+    let expiredNonce;
+    try {
+      expiredNonce = await brAuthnToken.set({accountId, type: 'nonce'});
+    } finally {
+      clock.restore();
+    }
+    const nonce = await brAuthnToken.set({accountId, type: 'nonce'});
+
+    // set an expired client
+    const cfg = bedrock.config['authn-token'].clients;
+    const {ttl} = cfg;
+    cfg.ttl = 1;
+    try {
+      await brAuthnToken.clients.set({
+        accountId,
+        clientId: 'c8f1a2e3-5d4b-4c6a-8e7f-9a0b1c2d3e4f',
+        authenticated: true
+      });
+    } finally {
+      cfg.ttl = ttl;
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    // add a failed attempt from long ago that has not yet been removed
+    // automatically
+    await database.collections['authn-token-lockout'].insertOne({
+      key: `account:password:${accountId}`,
+      accountId,
+      type: 'password',
+      sequence: 0,
+      count: 1,
+      lastFailure: yesterday.getTime() - 1,
+      lockedUntil: null,
+      expires: new Date(Date.now() - 1)
+    });
+
+    let result;
+    let err;
+    try {
+      result = await brAuthnToken.sweep({batchSize: 1});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    result.should.eql({
+      expiredTokens: 1,
+      legacyNonces: 0,
+      expiredClients: 1,
+      staleFailedAttempts: 1
+    });
+
+    const tokens = await getStoredTokens({accountId, type: 'nonce'});
+    tokens.map(({id}) => id).should.eql([expiredNonce.id, nonce.id]);
+    const {clients} = await brAuthnToken.clients.getAll({accountId});
+    clients.should.eql([]);
+    should.not.exist(await getFailedAttempts({accountId, type: 'password'}));
+  });
+});
@@ -1,5 +1,5 @@
 /*!
- * Copyright (c) 2018-2023 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2018-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as brAccount from '@bedrock/account';
 import * as database from '@bedrock/mongodb';
@@ -9,8 +9,10 @@ export async function prepareDatabase(mockData) {
   await _insertTestData(mockData);
 }
 
-export async function removeCollections(
-  collectionNames = ['account', 'account-email']) {
+export async function removeCollections(collectionNames = [
+  'account', 'account-email', 'authn-token-audit', 'authn-token-lockout',
+  'authn-token-migration', 'authn-token-rate-limit', 'authn-token-token'
+]) {
   await database.openCollections(collectionNames);
   for(const collectionName of collectionNames) {
     await database.collections[collectionName].deleteMany({});
@@ -21,6 +23,17 @@ export async function removeCollection(collectionName) {
   return removeCollections([collectionName]);
 }
 
+export async function getFailedAttempts({accountId, type}) {
+  return database.collections['authn-token-lockout'].findOne(
+    {accountId, type}, {projection: {_id: 0}});
+}
+
+export async function getStoredTokens({accountId, type}) {
+  const records = await database.collections['authn-token-token'].find(
+    {accountId, type}, {sort: {'meta.created': 1, _id: 1}}).toArray();
+  return records.map(({token}) => token);
+}
+
 async function _insertTestData(mockData) {
   const records = Object.values(mockData.accounts);
   for(const record of records) {
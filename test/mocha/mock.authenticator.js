@@ -0,0 +1,133 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import crypto from 'node:crypto';
+
+// a software WebAuthn authenticator with an ES256 (P-256) key that creates
+// credentials with `none` attestation
+export function createAuthenticator({rpId, origin, signCount = 0} = {}) {
+  const {privateKey, publicKey} = crypto.generateKeyPairSync(
+    'ec', {namedCurve: 'P-256'});
+  const credentialId = crypto.randomBytes(16);
+  const id = credentialId.toString('base64url');
+  const {x, y} = publicKey.export({format: 'jwk'});
+  const rpIdHash = _sha256(Buffer.from(rpId, 'utf8'));
+
+  return {
+    id,
+    get signCount() {
+      return signCount;
+    },
+    set signCount(value) {
+      signCount = value;
+    },
+    // creates a response to `navigator.credentials.create()`
+    register({challenge}) {
+      const clientDataJSON = _clientDataJSON(
+        {type: 'webauthn.create', challenge, origin});
+      // COSE EC2 key: kty: EC2, alg: ES256, crv: P-256, x, y
+      const coseKey = new Map([
+        [1, 2], [3, -7], [-1, 1],
+        [-2, Buffer.from(x, 'base64url')], [-3, Buffer.from(y, 'base64url')]
+      ]);
+      const credentialIdLength = Buffer.alloc(2);
+      credentialIdLength.writeUInt16BE(credentialId.length);
+      const authData = Buffer.concat([
+        // user present, user verified, attested credential data included
+        _authData({rpIdHash, flags: 0x45, signCount}),
+        // all-zero AAGUID
+        Buffer.alloc(16),
+        credentialIdLength,
+        credentialId,
+        _encodeCbor(coseKey)
+      ]);
+      const attestationObject = _encodeCbor(new Map([
+        ['fmt', 'none'], ['attStmt', new Map()], ['authData', authData]
+      ]));
+      return {
+        id,
+        rawId: id,
+        type: 'public-key',
+        response: {
+          clientDataJSON: clientDataJSON.toString('base64url'),
+          attestationObject: attestationObject.toString('base64url'),
+          transports: ['internal']
+        },
+        clientExtensionResults: {}
+      };
+    },
+    // creates a response to `navigator.credentials.get()`
+    authenticate({challenge}) {
+      const clientDataJSON = _clientDataJSON(
+        {type: 'webauthn.get', challenge, origin});
+      // user present, user verified
+      const authenticatorData = _authData({rpIdHash, flags: 0x05, signCount});
+      const signature = crypto.sign('sha256', Buffer.concat([
+        authenticatorData, _sha256(clientDataJSON)
+      ]), privateKey);
+      return {
+        id,
+        rawId: id,
+        type: 'public-key',
+        response: {
+          clientDataJSON: clientDataJSON.toString('base64url'),
+          authenticatorData: authenticatorData.toString('base64url'),
+          signature: signature.toString('base64url')
+        },
+        clientExtensionResults: {}
+      };
+    }
+  };
+}
+
+function _authData({rpIdHash, flags, signCount}) {
+  const counter = Buffer.alloc(4);
+  counter.writeUInt32BE(signCount);
+  return Buffer.concat([rpIdHash, Buffer.from([flags]), counter]);
+}
+
+function _clientDataJSON({type, challenge, origin}) {
+  return Buffer.from(JSON.stringify(
+    {type, challenge, origin, crossOrigin: false}), 'utf8');
+}
+
+// encodes the small subset of CBOR used by WebAuthn: integers, byte strings,
+// text strings, and maps
+function _encodeCbor(value) {
+  if(typeof value === 'number') {
+    return value >= 0 ? _cborHead(0, value) : _cborHead(1, -1 - value);
+  }
+  if(Buffer.isBuffer(value)) {
+    return Buffer.concat([_cborHead(2, value.length), value]);
+  }
+  if(typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([_cborHead(3, bytes.length), bytes]);
+  }
+  if(value instanceof Map) {
+    const parts = [_cborHead(5, value.size)];
+    for(const [k, v] of value) {
+      parts.push(_encodeCbor(k), _encodeCbor(v));
+    }
+    return Buffer.concat(parts);
+  }
+  throw new TypeError('Unsupported CBOR value.');
+}
+
+function _cborHead(majorType, length) {
+  const type = majorType << 5;
+  if(length < 24) {
+    return Buffer.from([type | length]);
+  }
+  if(length < 0x100) {
+    return Buffer.from([type | 24, length]);
+  }
+  const head = Buffer.alloc(3);
+  head[0] = type | 25;
+  head.writeUInt16BE(length, 1);
+  return head;
+}
+
+function _sha256(data) {
+  return crypto.createHash('sha256').update(data).digest();
+}
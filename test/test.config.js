@@ -1,5 +1,5 @@
 /*!
- * Copyright (c) 2019-2023 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2019-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import {config} from '@bedrock/core';
 import {fileURLToPath} from 'node:url';
@@ -19,6 +19,44 @@ config['authn-token'].nonce.testerAccounts = [{
   email: 'tester-email-only@example.com'
 }];
 
+// allow tests to issue several nonces per account in quick succession
+config['authn-token'].nonce.rateLimit.windows = [
+  {duration: 60 * 1000, max: 10}
+];
+
+// nonce policy profiles
+config['authn-token'].nonce.profiles = {
+  emailVerification: {
+    ttl: 24 * 60 * 60 * 1000, maxNonceCount: 2, entryStyle: 'machine'
+  },
+  login: {ttl: 5 * 60 * 1000, length: 8}
+};
+
+// sign stateless nonces
+config['authn-token'].nonce.stateless.secret =
+  'yUd3PD4Sb0oXa8dcuR2vz5cjH9sIYgHnxwEUjVr5FNA';
+
+// derive fake hash parameters like every application instance would
+config['authn-token'].fakeHashParameters.secret =
+  'Q3hV0kTmA9p2Lr7sWz4dNc8bYf1eJg6uXo5iKv3hMaE';
+
+// tests call `sweep()` directly
+config['authn-token'].sweeper.enabled = false;
+
+// encrypt TOTP secrets at rest
+config['authn-token'].totp.encryption = {
+  currentKeyId: 'test-key-1',
+  keys: [{
+    id: 'test-key-1',
+    secret: 'ZEJV5tfZgV_ImdQ4OTKy2zPBSs8ek2QPY0Qcp11EG98'
+  }]
+};
+
+// WebAuthn relying party
+config['authn-token'].webauthn.rpId = 'localhost';
+config['authn-token'].webauthn.rpName = 'Bedrock Test';
+config['authn-token'].webauthn.origins = ['https://localhost:18443'];
+
 // MongoDB
 config.mongodb.name = 'bedrock_authn_token_test';
 config.mongodb.dropCollections.onInit = true;